@@ -0,0 +1,159 @@
+// ============================================
+// DEBUG PANEL (?debug)
+// ============================================
+// Loaded on demand by openDebugPanel() in script.js. Shows live app state
+// and runs any effect from EFFECTS_LIBRARY on any column.
+
+let debugRefreshTimer = null;
+let debugStateKey = null; // serialized state shown in the panel
+
+const DEBUG_REFRESH_INTERVAL = 500; // ms
+
+// Create the panel and start live updates
+function startDebugPanel() {
+    const panel = h('aside', { className: 'debug-panel', id: 'debug-panel', 'aria-label': 'Debug' },
+        h('div', { className: 'debug-header' },
+            h('strong', null, '🐞 Debug'),
+            h('button', {
+                type: 'button',
+                className: 'debug-btn',
+                title: t('debug.collapse'),
+                onclick: () => panel.classList.toggle('collapsed')
+            }, '▁'),
+            h('button', {
+                type: 'button',
+                className: 'debug-btn',
+                title: t('debug.close'),
+                onclick: closeDebugPanel
+            }, '✕')
+        ),
+        h('div', { className: 'debug-body' },
+            h('section', { className: 'debug-section', id: 'debug-state' }),
+            renderDebugEffects()
+        )
+    );
+    document.body.appendChild(panel);
+
+    renderDebugState();
+    debugRefreshTimer = setInterval(renderDebugState, DEBUG_REFRESH_INTERVAL);
+}
+
+// Remove the panel
+function closeDebugPanel() {
+    clearInterval(debugRefreshTimer);
+    debugRefreshTimer = null;
+    debugStateKey = null;
+
+    const panel = document.getElementById('debug-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
+
+// Rebuild the panel in the current language, keeping it collapsed or expanded
+function refreshDebugPanel() {
+    const collapsed = document.getElementById('debug-panel').classList.contains('collapsed');
+    closeDebugPanel();
+    startDebugPanel();
+    document.getElementById('debug-panel').classList.toggle('collapsed', collapsed);
+}
+
+// Name/value row
+function debugRow(name, value) {
+    return h('div', { className: 'debug-row' },
+        h('span', { className: 'debug-name' }, name),
+        h('code', null, value)
+    );
+}
+
+// Short description of a task for the panel
+function describeDebugTask(task) {
+    return task ? `#${task.id} ${task.columnId} / ${task.teamId}` : 'null';
+}
+
+// Live state: board, drag variables, photo rotation, config
+function renderDebugState() {
+    const section = document.getElementById('debug-state');
+    if (!section) return;
+
+    const photoValues = Array.from(rotatingPhotos, ([img, state]) => [
+        img.dataset.taskId ? `#${img.dataset.taskId}` : img.id,
+        `${state.index + 1}/${state.photos.length} ${state.interval}ms` +
+            `${state.visible ? '' : ' offscreen'}${state.paused ? ' paused' : ''}${state.loading ? ' loading' : ''}`
+    ]);
+    const values = {
+        board: [
+            ['tasks', String(tasks.length)],
+            ['nextTaskId', String(nextTaskId)],
+            ['undo / redo', `${undoStack.length} / ${redoStack.length}`],
+            ['locale', currentLocale],
+            ['effects', `${getEffectsMode()}, particles ${liveParticles.length}`]
+        ],
+        drag: [
+            ['isDragging', String(isDragging)],
+            ['draggedTask', describeDebugTask(draggedTask)],
+            ['draggedElement', draggedElement ? `#${draggedElement.dataset.taskId}` : 'null'],
+            ['lastColumnOver', lastColumnOver ? lastColumnOver.dataset.columnId : 'null'],
+            ['dragDirection', String(dragDirection)],
+            ['keyboardGrabbedTask', describeDebugTask(keyboardGrabbedTask)]
+        ],
+        rotating: `${rotatingPhotos.size}, ticker ${photoTicker ? 'on' : 'off'}`,
+        photos: photoValues,
+        tasksJson: JSON.stringify(tasks, null, 2),
+        configJson: JSON.stringify(config, null, 2)
+    };
+
+    // Nothing changed - keep the DOM, so text in the panel can be selected
+    const key = JSON.stringify(values);
+    if (key === debugStateKey) return;
+    debugStateKey = key;
+
+    // Keep open <details> open across refreshes
+    const openDetails = new Set(Array.from(section.querySelectorAll('details[open]')).map(el => el.dataset.key));
+    const debugDetails = (key, summary, ...children) => h('details', { dataset: { key }, open: openDetails.has(key) },
+        h('summary', null, summary),
+        ...children
+    );
+
+    const rows = (pairs) => pairs.map(([name, value]) => debugRow(name, value));
+
+    section.replaceChildren(
+        h('h3', null, t('debug.state')),
+        ...rows(values.board),
+
+        h('h3', null, t('debug.drag')),
+        ...rows(values.drag),
+
+        h('h3', null, t('debug.photos')),
+        debugRow('rotating', values.rotating),
+        ...(photoValues.length > 0 ? [debugDetails('photos', t('debug.images'), ...rows(photoValues))] : []),
+
+        debugDetails('tasks', 'tasks (JSON)', h('pre', null, values.tasksJson)),
+        debugDetails('config', 'config (JSON)', h('pre', null, values.configJson))
+    );
+}
+
+// Buttons for every effect of EFFECTS_LIBRARY on the chosen column
+function renderDebugEffects() {
+    const columnSelect = h('select', { className: 'debug-select' },
+        config.columns.map(column => h('option', { value: column.id }, column.title))
+    );
+
+    // Run effect directly: debug ignores the effects mode from settings
+    const runEffect = (name) => {
+        EFFECTS_LIBRARY[name](columnSelect.value);
+        playSound(getEffectSoundName(name));
+    };
+
+    return h('section', { className: 'debug-section' },
+        h('h3', null, t('debug.effects')),
+        h('label', { className: 'debug-row' }, h('span', { className: 'debug-name' }, t('debug.column')), columnSelect),
+        h('div', { className: 'debug-effects' },
+            Object.keys(EFFECTS_LIBRARY).map(name => h('button', {
+                type: 'button',
+                className: 'debug-btn debug-effect',
+                onclick: () => runEffect(name)
+            }, name))
+        )
+    );
+}
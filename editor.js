@@ -0,0 +1,789 @@
+// ============================================
+// CONFIG EDITOR (?edit)
+// ============================================
+// Loaded on demand by openConfigEditor() in script.js. Edits a copy of the
+// config with a live board preview, exports it as config.json.
+
+let editorDraft = null; // Config being edited
+let editorFileName = 'config.json';
+let editorDirty = false; // Unsaved changes
+let editorPreviewTimeout = null;
+
+const EDITOR_PREVIEW_DELAY = 300; // ms after last keystroke
+
+// Start editor with loaded config (null - start from template)
+function startConfigEditor(initialConfig, configUrl) {
+    editorDraft = initialConfig ? cloneConfig(initialConfig) : createEmptyConfig();
+    editorFileName = configUrl.split('/').pop() || 'config.json';
+
+    document.body.classList.add('editor-mode');
+    document.querySelector('.header-actions').hidden = true;
+
+    const panel = document.createElement('aside');
+    panel.className = 'config-editor';
+    panel.id = 'config-editor';
+
+    const board = document.getElementById('kanban-board');
+    board.parentNode.insertBefore(panel, board);
+
+    setupModal();
+    renderEditor();
+    renderEditorPreview();
+
+    // Warn before losing unsaved changes
+    window.addEventListener('beforeunload', (e) => {
+        if (editorDirty) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    if (!initialConfig) {
+        showNotice(t('editor.loadFailed', { url: configUrl }), 'warning');
+    }
+}
+
+// Deep copy of config
+function cloneConfig(cfg) {
+    return JSON.parse(JSON.stringify(cfg));
+}
+
+// Minimal valid config to start from, written in the interface language
+function createEmptyConfig() {
+    const greeting = t('editor.templateGreeting');
+    return {
+        title: t('editor.templateTitle'),
+        subtitle: '',
+        language: currentLocale,
+        columns: [
+            { id: 'backlog', title: 'Backlog', description: '', assigneeMode: 'random', effect: 'random' },
+            { id: 'production', title: 'Production', description: '', assigneeMode: 'random', isFinal: true, effect: 'confetti' }
+        ],
+        teams: [
+            { id: 'team', name: t('editor.team'), color: '#667eea', projects: [{ name: t('editor.project'), photos: [] }] }
+        ],
+        greetings: {
+            backlog: [greeting],
+            production: [greeting]
+        },
+        initialTasks: [
+            { id: 1, columnId: 'backlog', teamId: 'team', projectIndex: 0 }
+        ]
+    };
+}
+
+// ============================================
+// EDITOR DOM HELPERS (built on h() from script.js)
+// ============================================
+
+// Labeled form field
+function editorField(label, control, hint) {
+    return h('label', { className: 'editor-field' },
+        h('span', { className: 'editor-label' }, label),
+        control,
+        hint ? h('span', { className: 'editor-hint' }, hint) : null
+    );
+}
+
+// Text input bound to object property
+function editorTextInput(target, key, options = {}) {
+    return h('input', {
+        type: 'text',
+        className: 'editor-input',
+        value: target[key] !== undefined ? target[key] : '',
+        placeholder: options.placeholder,
+        oninput: (e) => {
+            if (e.target.value === '' && options.optional) {
+                delete target[key];
+            } else {
+                target[key] = e.target.value;
+            }
+            markEditorChanged();
+        }
+    });
+}
+
+// Textarea bound to a list of strings, one item per line
+function editorLinesInput(value, onChange, rows = 4) {
+    return h('textarea', {
+        className: 'editor-input editor-textarea',
+        rows,
+        value: (value || []).join('\n'),
+        oninput: (e) => {
+            onChange(e.target.value.split('\n').map(line => line.trim()).filter(line => line !== ''));
+            markEditorChanged();
+        }
+    });
+}
+
+// Select with [value, label] options
+function editorSelect(options, selected, onChange) {
+    return h('select', {
+        className: 'editor-input',
+        onchange: (e) => {
+            onChange(e.target.value);
+            markEditorChanged();
+        }
+    }, options.map(([value, label]) => h('option', { value, selected: value === selected }, label)));
+}
+
+// Time between photos of a team or project, ms (empty - inherited)
+function editorPhotoIntervalInput(item, placeholder) {
+    return h('input', {
+        type: 'number',
+        className: 'editor-input',
+        min: 300,
+        step: 100,
+        placeholder,
+        value: item.photoInterval !== undefined ? item.photoInterval : '',
+        oninput: (e) => {
+            if (e.target.value === '') {
+                delete item.photoInterval;
+            } else {
+                item.photoInterval = parseInt(e.target.value, 10);
+            }
+            markEditorChanged();
+        }
+    });
+}
+
+// Small icon button
+function editorButton(label, title, onClick, className = '') {
+    return h('button', { type: 'button', className: `editor-btn ${className}`, title, onclick: onClick }, label);
+}
+
+// Up / down / remove controls for an item of a list
+function editorItemControls(list, index, onRemove) {
+    return h('div', { className: 'editor-item-controls' },
+        editorButton('↑', t('editor.moveUp'), () => moveEditorItem(list, index, -1)),
+        editorButton('↓', t('editor.moveDown'), () => moveEditorItem(list, index, 1)),
+        editorButton('✕', t('editor.remove'), () => {
+            if (onRemove) onRemove(list[index]);
+            list.splice(index, 1);
+            markEditorChanged(true);
+        }, 'editor-btn-danger')
+    );
+}
+
+// Move list item up or down
+function moveEditorItem(list, index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= list.length) return;
+
+    [list[index], list[target]] = [list[target], list[index]];
+    markEditorChanged(true);
+}
+
+// Collapsible editor section
+function editorSection(title, ...children) {
+    return h('details', { className: 'editor-section', open: true },
+        h('summary', null, title),
+        ...children
+    );
+}
+
+// ============================================
+// EDITOR SECTIONS
+// ============================================
+
+// Rebuild whole editor form (after structural changes)
+function renderEditor() {
+    const panel = document.getElementById('config-editor');
+    const scrollTop = panel.scrollTop;
+    const openSections = Array.from(panel.querySelectorAll('.editor-section'))
+        .map(section => section.open);
+
+    panel.replaceChildren();
+    panel.appendChild(renderEditorToolbar());
+    panel.appendChild(h('div', { className: 'editor-report', id: 'editor-report' }));
+    panel.appendChild(renderGeneralSection());
+    panel.appendChild(renderColumnsSection());
+    panel.appendChild(renderTeamsSection());
+    panel.appendChild(renderGreetingsSection());
+    panel.appendChild(renderInitialTasksSection());
+
+    // Keep sections collapsed the way the user left them
+    panel.querySelectorAll('.editor-section').forEach((section, i) => {
+        if (openSections[i] !== undefined) section.open = openSections[i];
+    });
+    panel.scrollTop = scrollTop;
+
+    updateEditorReport(validateConfig(editorDraft));
+}
+
+// Download / load buttons
+function renderEditorToolbar() {
+    const fileInput = h('input', {
+        type: 'file',
+        accept: '.json,application/json',
+        hidden: true,
+        onchange: (e) => {
+            if (e.target.files[0]) loadEditorFile(e.target.files[0]);
+            e.target.value = '';
+        }
+    });
+
+    return h('div', { className: 'editor-toolbar' },
+        h('h2', null, t('editor.title')),
+        h('div', { className: 'editor-toolbar-actions' },
+            editorButton(t('editor.download'), t('editor.downloadTitle'), downloadEditorConfig, 'editor-btn-primary'),
+            editorButton(t('editor.open'), t('editor.openTitle'), () => fileInput.click()),
+            fileInput
+        )
+    );
+}
+
+// Title, subtitle, console message
+function renderGeneralSection() {
+    return editorSection(t('editor.general'),
+        editorField(t('editor.boardTitle'), editorTextInput(editorDraft, 'title')),
+        editorField(t('editor.subtitle'), editorTextInput(editorDraft, 'subtitle', { optional: true })),
+        editorField(t('editor.consoleMessage'), h('textarea', {
+            className: 'editor-input editor-textarea',
+            rows: 3,
+            value: editorDraft.consoleMessage || '',
+            oninput: (e) => {
+                if (e.target.value === '') {
+                    delete editorDraft.consoleMessage;
+                } else {
+                    editorDraft.consoleMessage = e.target.value;
+                }
+                markEditorChanged();
+            }
+        }))
+    );
+}
+
+// Columns list
+function renderColumnsSection() {
+    const columns = editorDraft.columns = Array.isArray(editorDraft.columns) ? editorDraft.columns : [];
+    const teams = Array.isArray(editorDraft.teams) ? editorDraft.teams : [];
+    const effectOptions = [['', t('editor.noEffect')], ['random', t('editor.randomEffect')]]
+        .concat(BUILT_IN_EFFECT_NAMES.map(name => [name, name]))
+        .concat(Object.keys(editorDraft.effects || {}).map(name => [name, t('editor.customEffect', { name })]));
+
+    const items = columns.map((column, index) => {
+        const assignees = Array.isArray(column.assignees) ? column.assignees : [];
+        // Composite effects (weights, sequence, combo) are edited in JSON, the select can only replace them
+        const isCompositeEffect = column.effect !== null && typeof column.effect === 'object';
+
+        return h('div', { className: 'editor-item' },
+            h('div', { className: 'editor-item-header' },
+                h('strong', null, column.title || column.id || t('editor.columnNumber', { number: index + 1 })),
+                editorItemControls(columns, index, removed => {
+                    if (editorDraft.greetings) delete editorDraft.greetings[removed.id];
+                })
+            ),
+            editorField('ID', editorIdInput(column.id, newId => renameColumnId(column, newId))),
+            editorField(t('editor.name'), editorTextInput(column, 'title')),
+            editorField(t('editor.description'), editorTextInput(column, 'description', { optional: true })),
+            editorField(t('editor.assignees'), editorSelect(
+                [['random', t('editor.assigneesRandom')], ['specific', t('editor.assigneesSpecific')]],
+                column.assigneeMode,
+                value => {
+                    column.assigneeMode = value;
+                    markEditorChanged(true);
+                }
+            )),
+            column.assigneeMode === 'specific'
+                ? h('div', { className: 'editor-checkboxes' }, teams.map(team => h('label', null,
+                    h('input', {
+                        type: 'checkbox',
+                        checked: assignees.includes(team.id),
+                        onchange: (e) => {
+                            const selected = new Set(Array.isArray(column.assignees) ? column.assignees : []);
+                            if (e.target.checked) {
+                                selected.add(team.id);
+                            } else {
+                                selected.delete(team.id);
+                            }
+                            // Keep config order of teams
+                            column.assignees = teams.map(t => t.id).filter(id => selected.has(id));
+                            markEditorChanged();
+                        }
+                    }),
+                    ` ${team.name || team.id}`
+                )))
+                : null,
+            editorField(t('editor.effect'), editorSelect(
+                isCompositeEffect ? [['composite', t('editor.compositeEffect')]].concat(effectOptions) : effectOptions,
+                isCompositeEffect ? 'composite' : column.effect || '',
+                value => {
+                    if (value === 'composite') return;
+                    if (value) {
+                        column.effect = value;
+                    } else {
+                        delete column.effect;
+                    }
+                }
+            )),
+            editorField(t('editor.sound'), editorSelect(
+                [['', t('editor.soundDefault')], ['none', t('editor.soundNone')]].concat(SOUND_NAMES.map(name => [name, name])),
+                column.sound === null ? 'none' : column.sound || '',
+                value => {
+                    if (value === 'none') {
+                        column.sound = null;
+                    } else if (value) {
+                        column.sound = value;
+                    } else {
+                        delete column.sound;
+                    }
+                }
+            )),
+            h('label', { className: 'editor-checkbox' },
+                h('input', {
+                    type: 'checkbox',
+                    checked: Boolean(column.isFinal),
+                    onchange: (e) => {
+                        if (e.target.checked) {
+                            column.isFinal = true;
+                        } else {
+                            delete column.isFinal;
+                        }
+                        markEditorChanged();
+                    }
+                }),
+                ` ${t('editor.finalColumn')}`
+            ),
+            editorField(t('editor.wipLimit'), h('input', {
+                type: 'number',
+                className: 'editor-input',
+                min: 1,
+                placeholder: t('editor.noLimit'),
+                value: column.wipLimit !== undefined ? column.wipLimit : '',
+                oninput: (e) => {
+                    if (e.target.value === '') {
+                        delete column.wipLimit;
+                    } else {
+                        column.wipLimit = parseInt(e.target.value, 10);
+                    }
+                    markEditorChanged();
+                }
+            })),
+            editorTransitionField(t('editor.allowedFrom'), column, 'allowedFrom', columns),
+            editorTransitionField(t('editor.allowedTo'), column, 'allowedTo', columns)
+        );
+    });
+
+    return editorSection(t('editor.columns', { count: columns.length }),
+        ...items,
+        editorButton(t('editor.addColumn'), '', () => {
+            const id = getUniqueEditorId('column', columns.map(c => c.id));
+            columns.push({ id, title: t('editor.newColumn'), description: '', assigneeMode: 'random', effect: 'random' });
+            markEditorChanged(true);
+        }, 'editor-btn-add')
+    );
+}
+
+// allowedFrom / allowedTo: any column (field absent) or selected columns only
+function editorTransitionField(label, column, key, columns) {
+    const restricted = Array.isArray(column[key]);
+    const others = columns.filter(c => c !== column);
+
+    return h('div', null,
+        editorField(label, editorSelect(
+            [['any', t('editor.anyColumn')], ['selected', t('editor.selectedColumns')]],
+            restricted ? 'selected' : 'any',
+            value => {
+                if (value === 'selected') {
+                    column[key] = [];
+                } else {
+                    delete column[key];
+                }
+                markEditorChanged(true);
+            }
+        )),
+        restricted
+            ? h('div', { className: 'editor-checkboxes' }, others.map(other => h('label', null,
+                h('input', {
+                    type: 'checkbox',
+                    checked: column[key].includes(other.id),
+                    onchange: (e) => {
+                        const selected = new Set(column[key]);
+                        if (e.target.checked) {
+                            selected.add(other.id);
+                        } else {
+                            selected.delete(other.id);
+                        }
+                        // Keep board order of columns
+                        column[key] = columns.map(c => c.id).filter(id => selected.has(id));
+                        markEditorChanged();
+                    }
+                }),
+                ` ${other.title || other.id}`
+            )))
+            : null
+    );
+}
+
+// Teams with projects and photos
+function renderTeamsSection() {
+    const teams = editorDraft.teams = Array.isArray(editorDraft.teams) ? editorDraft.teams : [];
+
+    const items = teams.map((team, index) => {
+        const projects = team.projects = Array.isArray(team.projects) ? team.projects : [];
+
+        return h('div', { className: 'editor-item', style: { borderLeftColor: team.color } },
+            h('div', { className: 'editor-item-header' },
+                h('strong', null, team.name || team.id || t('editor.teamNumber', { number: index + 1 })),
+                editorItemControls(teams, index, removeTeamReferences)
+            ),
+            editorField('ID', editorIdInput(team.id, newId => renameTeamId(team, newId))),
+            editorField(t('editor.name'), editorTextInput(team, 'name')),
+            editorField(t('editor.color'), h('input', {
+                type: 'color',
+                className: 'editor-color',
+                value: /^#[0-9a-f]{6}$/i.test(team.color) ? team.color : '#667eea',
+                oninput: (e) => {
+                    team.color = e.target.value;
+                    markEditorChanged();
+                }
+            })),
+            editorField(t('editor.photoInterval'), editorPhotoIntervalInput(team, String(PHOTO_INTERVAL))),
+            h('div', { className: 'editor-subitems' },
+                projects.map((project, projectIndex) => h('div', { className: 'editor-subitem' },
+                    h('div', { className: 'editor-item-header' },
+                        h('span', null, t('editor.projectNumber', { index: projectIndex })),
+                        editorItemControls(projects, projectIndex)
+                    ),
+                    editorField(t('editor.name'), editorTextInput(project, 'name')),
+                    editorField(t('editor.photos'), editorLinesInput(project.photos, photos => {
+                        project.photos = photos;
+                    }), t('editor.photosHint')),
+                    editorField(t('editor.photoInterval'), editorPhotoIntervalInput(project, t('editor.sameAsTeam')))
+                )),
+                editorButton(t('editor.addProject'), '', () => {
+                    projects.push({ name: t('editor.newProject'), photos: [] });
+                    markEditorChanged(true);
+                }, 'editor-btn-add')
+            )
+        );
+    });
+
+    return editorSection(t('editor.teams', { count: teams.length }),
+        ...items,
+        editorButton(t('editor.addTeam'), '', () => {
+            const id = getUniqueEditorId('team', teams.map(t => t.id));
+            teams.push({ id, name: t('editor.newTeam'), color: '#667eea', projects: [{ name: t('editor.project'), photos: [] }] });
+            markEditorChanged(true);
+        }, 'editor-btn-add')
+    );
+}
+
+// Greeting pools per column: common list or per-team lists
+function renderGreetingsSection() {
+    const greetings = editorDraft.greetings = editorDraft.greetings && typeof editorDraft.greetings === 'object'
+        ? editorDraft.greetings
+        : {};
+    const columns = Array.isArray(editorDraft.columns) ? editorDraft.columns : [];
+    const teams = Array.isArray(editorDraft.teams) ? editorDraft.teams : [];
+
+    const items = columns.map(column => {
+        const pool = greetings[column.id];
+        const perTeam = pool !== undefined && !Array.isArray(pool);
+
+        return h('div', { className: 'editor-item' },
+            h('div', { className: 'editor-item-header' }, h('strong', null, column.title || column.id)),
+            editorField(t('editor.greetingsMode'), editorSelect(
+                [['common', t('editor.greetingsCommon')], ['team', t('editor.greetingsByTeam')]],
+                perTeam ? 'team' : 'common',
+                value => {
+                    greetings[column.id] = value === 'team'
+                        ? convertGreetingsToTeams(pool, teams)
+                        : convertGreetingsToCommon(pool);
+                    markEditorChanged(true);
+                }
+            )),
+            perTeam
+                ? teams.map(team => editorField(team.name || team.id, editorLinesInput(pool[team.id], list => {
+                    if (list.length > 0) {
+                        pool[team.id] = list;
+                    } else {
+                        delete pool[team.id];
+                    }
+                })))
+                : editorField(t('editor.greetings'), editorLinesInput(pool, list => {
+                    greetings[column.id] = list;
+                }, 6), t('editor.greetingsHint'))
+        );
+    });
+
+    return editorSection(t('editor.greetings'), ...items);
+}
+
+// Common list -> same list for every team
+function convertGreetingsToTeams(pool, teams) {
+    const list = Array.isArray(pool) ? pool : [];
+    const result = {};
+    teams.forEach(team => {
+        result[team.id] = list.slice();
+    });
+    return result;
+}
+
+// Per-team lists -> one list without duplicates
+function convertGreetingsToCommon(pool) {
+    if (Array.isArray(pool)) return pool;
+
+    const merged = [];
+    Object.values(pool || {}).forEach(list => {
+        (Array.isArray(list) ? list : []).forEach(greeting => {
+            if (!merged.includes(greeting)) merged.push(greeting);
+        });
+    });
+    return merged;
+}
+
+// Initial tasks table
+function renderInitialTasksSection() {
+    const initialTasks = editorDraft.initialTasks = Array.isArray(editorDraft.initialTasks) ? editorDraft.initialTasks : [];
+    const columns = Array.isArray(editorDraft.columns) ? editorDraft.columns : [];
+    const teams = Array.isArray(editorDraft.teams) ? editorDraft.teams : [];
+
+    const rows = initialTasks.map((task, index) => {
+        const team = teams.find(t => t.id === task.teamId);
+        const projects = team && Array.isArray(team.projects) ? team.projects : [];
+        const projectOptions = [['', t('editor.randomProject')]]
+            .concat(projects.map((project, i) => [String(i), `${i}: ${project.name}`]));
+
+        return h('div', { className: 'editor-task-row' },
+            h('input', {
+                type: 'number',
+                className: 'editor-input editor-task-id',
+                min: 1,
+                value: task.id,
+                title: t('editor.taskId'),
+                oninput: (e) => {
+                    task.id = parseInt(e.target.value, 10);
+                    markEditorChanged();
+                }
+            }),
+            editorSelect(columns.map(c => [c.id, c.title || c.id]), task.columnId, value => {
+                task.columnId = value;
+            }),
+            editorSelect(teams.map(t => [t.id, t.name || t.id]), task.teamId, value => {
+                task.teamId = value;
+                delete task.projectIndex;
+                markEditorChanged(true);
+            }),
+            editorSelect(projectOptions, task.projectIndex !== undefined ? String(task.projectIndex) : '', value => {
+                if (value === '') {
+                    delete task.projectIndex;
+                } else {
+                    task.projectIndex = parseInt(value, 10);
+                }
+            }),
+            editorButton('✕', t('editor.remove'), () => {
+                initialTasks.splice(index, 1);
+                markEditorChanged(true);
+            }, 'editor-btn-danger')
+        );
+    });
+
+    return editorSection(t('editor.initialTasks', { count: initialTasks.length }),
+        h('div', { className: 'editor-task-row editor-task-head' },
+            h('span', null, 'ID'),
+            h('span', null, t('editor.column')),
+            h('span', null, t('editor.team')),
+            h('span', null, t('editor.project')),
+            h('span', null, '')
+        ),
+        ...rows,
+        editorButton(t('editor.addTask'), '', () => {
+            const maxId = initialTasks.reduce((max, task) => Math.max(max, Number(task.id) || 0), 0);
+            initialTasks.push({
+                id: maxId + 1,
+                columnId: columns[0] ? columns[0].id : '',
+                teamId: teams[0] ? teams[0].id : ''
+            });
+            markEditorChanged(true);
+        }, 'editor-btn-add')
+    );
+}
+
+// ID input - applied on change (not on every keystroke) since other sections reference it
+function editorIdInput(value, onRename) {
+    return h('input', {
+        type: 'text',
+        className: 'editor-input',
+        value: value || '',
+        onchange: (e) => {
+            const newId = e.target.value.trim();
+            if (newId && newId !== value) {
+                onRename(newId);
+                markEditorChanged(true);
+            } else {
+                e.target.value = value || '';
+            }
+        }
+    });
+}
+
+// Generate id not present in the list
+function getUniqueEditorId(prefix, existing) {
+    let i = existing.length + 1;
+    while (existing.includes(`${prefix}-${i}`)) i++;
+    return `${prefix}-${i}`;
+}
+
+// Rename column and every reference to it
+function renameColumnId(column, newId) {
+    const oldId = column.id;
+    column.id = newId;
+
+    if (editorDraft.greetings && editorDraft.greetings[oldId] !== undefined) {
+        editorDraft.greetings[newId] = editorDraft.greetings[oldId];
+        delete editorDraft.greetings[oldId];
+    }
+
+    (editorDraft.initialTasks || []).forEach(task => {
+        if (task.columnId === oldId) task.columnId = newId;
+    });
+
+    if (editorDraft.presentation && Array.isArray(editorDraft.presentation.order)) {
+        editorDraft.presentation.order = editorDraft.presentation.order.map(id => (id === oldId ? newId : id));
+    }
+
+    Object.values(editorDraft.locales || {}).forEach(translation => {
+        if (!translation) return;
+        renameEditorKey(translation.columns, oldId, newId);
+        renameEditorKey(translation.greetings, oldId, newId);
+    });
+}
+
+// Rename team and every reference to it
+function renameTeamId(team, newId) {
+    const oldId = team.id;
+    team.id = newId;
+
+    (editorDraft.columns || []).forEach(column => {
+        if (Array.isArray(column.assignees)) {
+            column.assignees = column.assignees.map(id => (id === oldId ? newId : id));
+        }
+    });
+
+    Object.values(editorDraft.greetings || {}).forEach(pool => {
+        if (pool && !Array.isArray(pool) && pool[oldId] !== undefined) {
+            pool[newId] = pool[oldId];
+            delete pool[oldId];
+        }
+    });
+
+    (editorDraft.initialTasks || []).forEach(task => {
+        if (task.teamId === oldId) task.teamId = newId;
+    });
+
+    Object.values(editorDraft.locales || {}).forEach(translation => {
+        if (!translation) return;
+        renameEditorKey(translation.teams, oldId, newId);
+        Object.values(translation.greetings || {}).forEach(pool => {
+            if (pool && !Array.isArray(pool)) renameEditorKey(pool, oldId, newId);
+        });
+    });
+}
+
+// Move object[oldKey] to object[newKey] (translations keyed by id)
+function renameEditorKey(object, oldKey, newKey) {
+    if (object && object[oldKey] !== undefined) {
+        object[newKey] = object[oldKey];
+        delete object[oldKey];
+    }
+}
+
+// Drop references to a removed team
+function removeTeamReferences(team) {
+    (editorDraft.columns || []).forEach(column => {
+        if (Array.isArray(column.assignees)) {
+            column.assignees = column.assignees.filter(id => id !== team.id);
+        }
+    });
+
+    Object.values(editorDraft.greetings || {}).forEach(pool => {
+        if (pool && !Array.isArray(pool)) delete pool[team.id];
+    });
+}
+
+// ============================================
+// PREVIEW, VALIDATION AND EXPORT
+// ============================================
+
+// Called after every edit. Structural edits rebuild the form
+function markEditorChanged(rebuild = false) {
+    editorDirty = true;
+
+    if (rebuild) {
+        renderEditor();
+    }
+
+    clearTimeout(editorPreviewTimeout);
+    editorPreviewTimeout = setTimeout(renderEditorPreview, EDITOR_PREVIEW_DELAY);
+}
+
+// Show validation results at the top of the editor
+function updateEditorReport(report) {
+    const container = document.getElementById('editor-report');
+    if (!container) return;
+
+    container.replaceChildren();
+
+    if (report.errors.length === 0 && report.warnings.length === 0) {
+        container.appendChild(h('p', { className: 'editor-report-ok' }, t('editor.noErrors')));
+        return;
+    }
+
+    if (report.errors.length > 0) {
+        container.appendChild(createConfigReportList(report.errors, 'config-report-errors'));
+    }
+    if (report.warnings.length > 0) {
+        container.appendChild(createConfigReportList(report.warnings, 'config-report-warnings'));
+    }
+}
+
+// Render board from the draft. Invalid drafts keep the last valid preview
+function renderEditorPreview() {
+    const report = validateConfig(editorDraft);
+    updateEditorReport(report);
+
+    const board = document.getElementById('kanban-board');
+    board.classList.toggle('preview-stale', report.errors.length > 0);
+    if (report.errors.length > 0) return;
+
+    setActiveConfig(cloneConfig(editorDraft));
+    tasks = [];
+    nextTaskId = 1;
+    initializeTasks();
+
+    document.getElementById('main-title').textContent = config.title;
+    document.getElementById('subtitle').textContent = config.subtitle || '';
+
+    createKanbanBoard();
+}
+
+// Download draft as config.json
+function downloadEditorConfig() {
+    const report = validateConfig(editorDraft);
+    if (report.errors.length > 0 &&
+        !confirm(t('editor.downloadWithErrors', { count: report.errors.length }))) {
+        return;
+    }
+
+    downloadFile(editorFileName, JSON.stringify(editorDraft, null, 2) + '\n', 'application/json');
+    editorDirty = false;
+}
+
+// Replace draft with a local JSON file
+async function loadEditorFile(file) {
+    try {
+        const loaded = JSON.parse(await file.text());
+        if (!loaded || typeof loaded !== 'object' || Array.isArray(loaded)) {
+            throw new Error(t('validation.configObject'));
+        }
+
+        editorDraft = loaded;
+        editorFileName = file.name;
+        markEditorChanged(true);
+        showNotice(t('editor.fileLoaded', { file: file.name }), 'success');
+    } catch (error) {
+        showNotice(t('editor.fileFailed', { file: file.name, message: error.message }), 'error');
+    }
+}
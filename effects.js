@@ -0,0 +1,216 @@
+// ============================================
+// EFFECTS GALLERY (?effects)
+// ============================================
+// Loaded on demand by openEffectsGallery() in script.js. One demo column per
+// EFFECTS_LIBRARY entry, with a play button and a ready "effect" snippet.
+
+// Column id of the demo column for an effect
+function getDemoColumnId(name) {
+    return `effect-demo-${name}`;
+}
+
+// Same page without ?effects
+function getGalleryBackUrl() {
+    const params = new URLSearchParams(location.search);
+    params.delete('effects');
+
+    const search = params.toString();
+    return location.pathname + (search ? `?${search}` : '');
+}
+
+// Style rules and @keyframes names of same-origin stylesheets
+function collectEffectStyles() {
+    const rules = [];
+    const keyframes = new Set();
+
+    const walk = (list) => {
+        Array.from(list).forEach(rule => {
+            if (rule.type === CSSRule.KEYFRAMES_RULE) {
+                keyframes.add(rule.name);
+            } else if (rule.type === CSSRule.STYLE_RULE) {
+                rules.push(rule);
+            } else if (rule.cssRules) {
+                walk(rule.cssRules); // @media, @supports
+            }
+        });
+    };
+
+    Array.from(document.styleSheets).forEach(sheet => {
+        try {
+            walk(sheet.cssRules);
+        } catch (error) {
+            // Cross-origin stylesheet - rules are not readable
+        }
+    });
+
+    return { rules, keyframes };
+}
+
+// Longest animation of a rule in ms ("0.5s", "300ms")
+function getAnimationDuration(style) {
+    return Math.max(0, ...style.animationDuration.split(',').map(value => {
+        const time = parseFloat(value);
+        return value.trim().endsWith('ms') ? time : time * 1000;
+    }).filter(time => !isNaN(time)));
+}
+
+// Problems of a column effect: missing CSS class, missing @keyframes, animation cut short
+function getColumnEffectProblems(effect, styles) {
+    const selector = new RegExp(`\\.${effect.className}(?![\\w-])`);
+    const rules = styles.rules.filter(rule => selector.test(rule.selectorText));
+
+    if (rules.length === 0) {
+        return [{ type: 'error', message: t('effects.noRule', { className: effect.className }) }];
+    }
+
+    const animated = rules.filter(rule => rule.style.animationName && rule.style.animationName !== 'none');
+    if (animated.length === 0) {
+        return [{ type: 'error', message: t('effects.noAnimation', { className: effect.className }) }];
+    }
+
+    const problems = [];
+    animated.forEach(rule => {
+        rule.style.animationName.split(',').map(name => name.trim()).forEach(name => {
+            if (!styles.keyframes.has(name)) {
+                problems.push({ type: 'error', message: t('effects.noKeyframes', { name, selector: rule.selectorText }) });
+            }
+        });
+
+        const animationDuration = getAnimationDuration(rule.style);
+        if (animationDuration > effect.duration) {
+            problems.push({
+                type: 'warning',
+                message: t('effects.cutShort', { animation: animationDuration, duration: effect.duration })
+            });
+        }
+    });
+    return problems;
+}
+
+// Problems of a library effect found without playing it
+function getEffectProblems(name, styles) {
+    const effect = EFFECTS_LIBRARY[name];
+
+    if (effect.className) {
+        return getColumnEffectProblems(effect, styles);
+    }
+    if (effect.columnAnimation && !EFFECTS_LIBRARY[effect.columnAnimation]) {
+        return [{ type: 'error', message: t('effects.noColumnAnimation', { name: effect.columnAnimation }) }];
+    }
+    return [];
+}
+
+// Category, duration and column animation of an effect
+function describeEffect(name) {
+    const effect = EFFECTS_LIBRARY[name];
+    const parts = [getEffectCategory(name)];
+
+    if (effect.duration) {
+        parts.push(t('effects.duration', { duration: effect.duration }));
+    }
+    if (effect.columnAnimation) {
+        parts.push(`+ ${effect.columnAnimation}`);
+    }
+    if (customEffectNames.includes(name)) {
+        parts.push('config.effects');
+    }
+    return parts.join(' · ');
+}
+
+// Problem list of a card
+function renderEffectProblems(problems) {
+    return h('ul', { className: 'effect-problems' },
+        problems.map(problem => h('li', { className: problem.type }, problem.message))
+    );
+}
+
+// Broken / warning classes of a card
+function setEffectCardClasses(card, problems) {
+    const hasErrors = problems.some(problem => problem.type === 'error');
+    card.classList.toggle('broken', hasErrors);
+    card.classList.toggle('has-warnings', !hasErrors && problems.length > 0);
+}
+
+// Mark card as broken and show the new problems. The summary is updated by the caller
+function markEffectCard(card, problems) {
+    setEffectCardClasses(card, problems);
+    card.querySelector('.effect-problems').replaceWith(renderEffectProblems(problems));
+}
+
+// List of broken effects above the grid
+function updateEffectsSummary() {
+    const summary = document.getElementById('effects-summary');
+    if (!summary) return;
+
+    const broken = Array.from(document.querySelectorAll('.effect-card.broken'), card => card.dataset.effect);
+    summary.classList.toggle('broken', broken.length > 0);
+    summary.textContent = broken.length > 0 ? t('effects.broken', { names: broken.join(', ') }) : t('effects.allOk');
+}
+
+// Play effect on its demo column. Gallery ignores the effects mode from settings
+function playGalleryEffect(name, card, problems) {
+    try {
+        EFFECTS_LIBRARY[name](getDemoColumnId(name));
+    } catch (error) {
+        markEffectCard(card, problems.concat({ type: 'error', message: t('effects.runFailed', { message: error.message }) }));
+        updateEffectsSummary();
+        return;
+    }
+    playSound(getEffectSoundName(name));
+}
+
+// Card with demo column, description and snippet
+function renderEffectCard(name, styles) {
+    const problems = getEffectProblems(name, styles);
+    const snippet = `"effect": ${JSON.stringify(name)}`;
+
+    const card = h('article', { className: 'effect-card', dataset: { effect: name } },
+        h('div', { className: 'effect-demo' },
+            h('div', { className: 'column-tasks', dataset: { columnId: getDemoColumnId(name) } },
+                h('div', { className: 'effect-demo-task' }),
+                h('div', { className: 'effect-demo-task' })
+            )
+        ),
+        h('h3', { className: 'effect-name' }, name),
+        h('span', { className: 'effect-meta' }, describeEffect(name)),
+        renderEffectProblems(problems),
+        h('code', { className: 'effect-snippet' }, snippet),
+        h('div', { className: 'effect-actions' },
+            h('button', {
+                type: 'button',
+                className: 'effect-btn effect-btn-primary',
+                onclick: () => playGalleryEffect(name, card, problems)
+            }, t('effects.play')),
+            h('button', {
+                type: 'button',
+                className: 'effect-btn',
+                onclick: async () => {
+                    if (await copyToClipboard(snippet)) {
+                        showNotice(t('effects.copied', { snippet }), 'success');
+                    }
+                }
+            }, '📋 JSON')
+        )
+    );
+
+    setEffectCardClasses(card, problems);
+    return card;
+}
+
+// Render gallery into the page view
+function startEffectsGallery() {
+    const names = Object.keys(EFFECTS_LIBRARY);
+    const view = showPageView(t('effects.title'), t('effects.count', { count: names.length }));
+    view.classList.add('effects-gallery');
+
+    const styles = collectEffectStyles();
+
+    view.append(
+        h('div', { className: 'effects-toolbar' },
+            h('a', { className: 'hint-close', href: getGalleryBackUrl() }, t('effects.back')),
+            h('span', { className: 'effects-summary', id: 'effects-summary' })
+        ),
+        h('div', { className: 'effects-grid' }, names.map(name => renderEffectCard(name, styles)))
+    );
+    updateEffectsSummary(); // after the grid is in the DOM
+}
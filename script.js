@@ -1,20 +1,181 @@
 // Global state
-let config = null;
+let config = null; // Config in the current language (see LOCALIZATION)
+let baseConfig = null; // Config as loaded from JSON
 let tasks = [];
 let draggedTask = null;
 let touchTimeout = null;
 let nextTaskId = 1;
-let photoIntervals = {}; // Store photo rotation intervals by task ID
-let modalPhotoInterval = null; // Store modal photo rotation interval
+let modalReturnFocus = null; // Element focused before the modal was opened
+let modalTaskId = null; // Task shown in the modal
+
+// Keyboard moving
+let keyboardGrabbedTask = null; // Task picked up with Space/Enter
+let keyboardTargetColumnId = null; // Column the grabbed task will be dropped into
+
+// Photo rotation: one ticker drives all images with several photos
+const PHOTO_INTERVAL = 1000; // Default time between photos, ms (photoInterval of team or project)
+const PHOTO_TICK_MS = 250;
+const PHOTO_FADE_MS = 400;
+let rotatingPhotos = new Map(); // img -> { photos, index, interval, nextSwap, visible, paused, loading, onChange }
+let photoTicker = null;
+let photoObserver = null;
+
+// Modal photo gallery
+const GALLERY_SWIPE_DISTANCE = 40; // px
+let galleryPhotos = [];
+let galleryIndex = 0;
+
+// Grey square shown when a photo is missing or fails to load
+const PLACEHOLDER_IMAGE = 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22%3E%3Crect width=%2224%22 height=%2224%22 fill=%22%23ccc%22/%3E%3C/svg%3E';
+
+// Board persistence
+const BOARD_STORAGE_KEY = 'kanban-board-state';
+const BOARD_SCHEMA_VERSION = 1; // Bump when the saved board format changes
+
+// Greeting decks: shuffled per column/team, no repeats until the deck is used up
+const GREETINGS_STORAGE_KEY = 'kanban-greetings';
+let greetingDecks = {}; // Deck key -> { cards: greeting indices left, last: last drawn index }
+let discoveredGreetings = {}; // Deck key -> greeting indices already shown on the board
+
+// Undo / redo history of board states
+const HISTORY_LIMIT = 50;
+let undoStack = []; // { label, board } - board state before each change
+let redoStack = [];
+
+// Localization
+const LOCALE_STORAGE_KEY = 'kanban-locale';
+const DEFAULT_LOCALE = 'ru'; // Language of index.html and of configs without "language"
+let currentLocale = DEFAULT_LOCALE;
+
+// Settings: effects mode and haptics
+const SETTINGS_STORAGE_KEY = 'kanban-settings';
+const EFFECT_MODES = ['on', 'reduced', 'off'];
+let settings = { effects: null, haptics: true, sound: true }; // effects: null - follow prefers-reduced-motion
+
+// Web Audio: context is created on the first user gesture
+let audioContext = null;
+let noiseBuffer = null;
+
+// Activity timeline (event log of the board)
+const TIMELINE_STORAGE_KEY = 'kanban-timeline';
+const TIMELINE_LIMIT = 500;
+let timelineEvents = [];
+let timelineFilter = { teamId: '', columnId: '' };
+
+// Shared board snapshots (URL fragment)
+const SNAPSHOT_HASH_PREFIX = '#board=';
+const SNAPSHOT_VERSION = 1;
+
+// Task links: #task-12 or ?task=12 open the task modal (netlify.toml redirects /task/12 to ?task=12)
+const TASK_HASH_PATTERN = /^#task-(\d+)$/;
+const TASK_QUERY_PARAM = 'task';
+let modalNavScope = 'column'; // Previous/next in the modal: 'column' or 'board'
+
+// Presentation mode: tasks walk through the columns by themselves (?present or header button)
+const PRESENTATION_QUERY_PARAM = 'present';
+const PRESENTATION_DEFAULTS = {
+    stepInterval: 4000, // ms between moves
+    modalDuration: 3000, // ms the new greeting stays open, 0 - no modal
+    loop: true, // keep going with tasks spawned in backlog
+    resumeAfter: 30000 // ms without input before resuming, 0 - stay paused
+};
+const PRESENTATION_INPUT_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+let presentation = null; // { queue, taskId, timer, resumeTimer, paused, wakeLock } while running
+
+// Multiple boards (route -> configs/<slug>.json)
+const BOARDS_MANIFEST_URL = 'configs/manifest.json';
+const DEFAULT_CONFIG_URL = 'config.json';
+let currentBoard = null; // Manifest entry of the opened board (null in single-board mode)
+
+// Board is saved to localStorage (disabled in config editor preview)
+let boardPersistence = true;
+
+// App root - directory script.js is served from, so routes also work from a subdirectory
+const APP_BASE_PATH = new URL('.', (document.currentScript && document.currentScript.src) || document.baseURI).pathname;
+
+// Offline mode: service worker caches the app, configs and photos
+const SERVICE_WORKER_URL = 'sw.js';
+const CONFIG_UPDATE_NOTICE_DURATION = 30000;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
-    await loadConfig();
+    currentLocale = detectLocale(getAvailableLocales());
+    applyStaticTranslations();
+    restoreSettings();
+    setupSound();
+    registerServiceWorker();
+
+    let route;
+    try {
+        route = await resolveRoute();
+    } catch (error) {
+        showConfigReport(BOARDS_MANIFEST_URL, {
+            errors: [t('load.manifestFailed', { message: error.message })],
+            warnings: []
+        });
+        return;
+    }
+
+    if (route.view === 'index') {
+        if (isEffectsGalleryMode()) {
+            openEffectsGallery();
+            return;
+        }
+        showBoardIndex(route.boards);
+        return;
+    }
+
+    if (route.view === 'not-found') {
+        showBoardNotFound(route.slug);
+        return;
+    }
+
+    currentBoard = route.board;
+
+    if (isEditMode()) {
+        await openConfigEditor(route.configUrl);
+        return;
+    }
+
+    let report;
+    try {
+        report = await loadConfig(route.configUrl);
+    } catch (error) {
+        if (error.status === 404) {
+            showBoardNotFound(route.slug);
+            return;
+        }
+        showConfigReport(route.configUrl, error.report || {
+            errors: [t('load.configFailed', { message: error.message })],
+            warnings: []
+        });
+        return;
+    }
+
+    // Gallery also shows the board's config.effects
+    if (isEffectsGalleryMode()) {
+        openEffectsGallery();
+        return;
+    }
+
     initializeApp();
+    openLinkedTask();
+
+    if (isPresentationRequested()) {
+        startPresentation();
+    }
+
+    if (isDebugMode()) {
+        openDebugPanel();
+    }
+
+    if (report.warnings.length > 0) {
+        showConfigWarnings(route.configUrl, report.warnings);
+    }
 });
 
-// Load configuration with retry and timeout
-async function loadConfig() {
+// Fetch JSON with retry and timeout. HTTP 404, HTML instead of JSON and invalid JSON are not retried
+async function fetchJson(url) {
     const maxRetries = 3;
     const timeout = 10000; // 10 seconds
 
@@ -23,7 +184,7 @@ async function loadConfig() {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-            const response = await fetch('config.json', {
+            const response = await fetch(url, {
                 signal: controller.signal,
                 cache: 'no-cache' // Prevent aggressive caching issues
             });
@@ -31,21 +192,25 @@ async function loadConfig() {
             clearTimeout(timeoutId);
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const httpError = new Error(`HTTP error! status: ${response.status}`);
+                httpError.status = response.status;
+                throw httpError;
             }
 
-            config = await response.json();
-
-            // Show console message for birthday girl
-            if (config.consoleMessage) {
-                console.log(config.consoleMessage);
+            // Netlify's "/*" -> index.html rewrite answers a missing file with the page and 200
+            const body = await response.text();
+            const isHtml = (response.headers.get('content-type') || '').includes('text/html') || /^\s*</.test(body);
+            if (isHtml) {
+                const notFound = new Error(`HTTP error! status: 404 (${url} is an HTML page)`);
+                notFound.status = 404;
+                throw notFound;
             }
 
-            return;
+            return JSON.parse(body);
 
         } catch (error) {
-            if (attempt === maxRetries) {
-                alert('Ошибка загрузки конфигурации!\nПопробуйте обновить страницу.');
+            // Not found and broken JSON won't change on retry
+            if (attempt === maxRetries || error.status === 404 || error instanceof SyntaxError) {
                 throw error;
             }
 
@@ -55,717 +220,4846 @@ async function loadConfig() {
     }
 }
 
-// Initialize application
-function initializeApp() {
-    if (!config) return;
-
-    // Set header
-    document.getElementById('main-title').textContent = config.title;
-    document.getElementById('subtitle').textContent = config.subtitle;
+// Debug panel is enabled with ?debug
+function isDebugMode() {
+    return new URLSearchParams(location.search).has('debug');
+}
 
-    // Initialize tasks
-    initializeTasks();
+// Open debug panel (debug.js) over the board
+async function openDebugPanel() {
+    try {
+        await loadScript('debug.js');
+    } catch (error) {
+        showNotice(error.message, 'error');
+        return;
+    }
+    startDebugPanel();
+}
 
-    // Create Kanban board
-    createKanbanBoard();
+// Effects gallery is enabled with ?effects
+function isEffectsGalleryMode() {
+    return new URLSearchParams(location.search).has('effects');
+}
 
-    // Setup modal
-    setupModal();
+// Show effects gallery (effects.js) instead of the board
+async function openEffectsGallery() {
+    try {
+        await loadScript('effects.js');
+    } catch (error) {
+        showNotice(error.message, 'error');
+        return;
+    }
+    startEffectsGallery();
 }
 
-// Initialize tasks from config
-function initializeTasks() {
-    config.initialTasks.forEach(taskConfig => {
-        const team = getTeamById(taskConfig.teamId);
-        const column = getColumnById(taskConfig.columnId);
+// Register service worker. It refreshes configs in the background and reports changes
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
 
-        // Use projectIndex from config, or select random if not specified
-        let projectIndex;
-        if (taskConfig.projectIndex !== undefined) {
-            projectIndex = taskConfig.projectIndex;
-        } else {
-            const randomProject = getRandomProject(team);
-            projectIndex = randomProject ? team.projects.indexOf(randomProject) : 0;
-        }
+    navigator.serviceWorker.register(APP_BASE_PATH + SERVICE_WORKER_URL).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
 
-        tasks.push({
-            id: taskConfig.id,
-            columnId: taskConfig.columnId,
-            teamId: taskConfig.teamId,
-            projectIndex: projectIndex,
-            description: getGreetingForTask(taskConfig.columnId, taskConfig.teamId)
-        });
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (!e.data || e.data.type !== 'config-updated') return;
 
-        if (taskConfig.id >= nextTaskId) {
-            nextTaskId = taskConfig.id + 1;
-        }
+        showNotice(t('offline.updated'), 'info', {
+            duration: CONFIG_UPDATE_NOTICE_DURATION,
+            key: 'config-updated',
+            action: { label: t('offline.reload'), onClick: () => location.reload() }
+        });
     });
 }
 
-// Get team by ID
-function getTeamById(teamId) {
-    return config.teams.find(t => t.id === teamId);
+// Load classic script on demand
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = APP_BASE_PATH + src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(t('load.scriptFailed', { src })));
+        document.body.appendChild(script);
+    });
 }
 
-// Get column by ID
-function getColumnById(columnId) {
-    return config.columns.find(c => c.id === columnId);
+// Config editor is enabled with ?edit
+function isEditMode() {
+    return new URLSearchParams(location.search).has('edit');
 }
 
-// Get random team
-function getRandomTeam() {
-    return config.teams[Math.floor(Math.random() * config.teams.length)];
-}
+// Open config editor (editor.js) with the raw, unvalidated config
+async function openConfigEditor(configUrl) {
+    boardPersistence = false;
 
-// Get random project from team
-function getRandomProject(team) {
-    if (!team.projects || team.projects.length === 0) return null;
-    return team.projects[Math.floor(Math.random() * team.projects.length)];
-}
+    let rawConfig = null;
+    try {
+        rawConfig = await fetchJson(configUrl);
+    } catch (error) {
+        // Editor starts from an empty template
+    }
 
-// Get project by index from team
-function getProjectByIndex(team, projectIndex) {
-    if (!team.projects || projectIndex >= team.projects.length) return null;
-    return team.projects[projectIndex];
+    try {
+        await loadScript('editor.js');
+    } catch (error) {
+        showConfigReport(configUrl, { errors: [error.message], warnings: [] });
+        return;
+    }
+
+    startConfigEditor(rawConfig, configUrl);
 }
 
-// Get greeting for task
-function getGreetingForTask(columnId, teamId) {
-    const greetings = config.greetings[columnId];
+// Load and validate configuration. Returns validation report,
+// throws if the config cannot be loaded or has errors (error.report is set)
+async function loadConfig(configUrl = DEFAULT_CONFIG_URL) {
+    const loadedConfig = await fetchJson(configUrl);
 
-    if (!greetings) {
-        return 'Поздравление загружается...';
+    const report = validateConfig(loadedConfig);
+    if (report.errors.length > 0) {
+        const validationError = new Error('Invalid config');
+        validationError.report = report;
+        throw validationError;
     }
 
-    // If greetings is an array (for columns like backlog, bugs)
-    if (Array.isArray(greetings)) {
-        return greetings[Math.floor(Math.random() * greetings.length)];
-    }
+    setActiveConfig(loadedConfig);
 
-    // If greetings is an object with team-specific greetings
-    if (typeof greetings === 'object') {
-        const teamGreetings = greetings[teamId];
-        if (teamGreetings && Array.isArray(teamGreetings)) {
-            return teamGreetings[Math.floor(Math.random() * teamGreetings.length)];
-        }
+    // Show console message for birthday girl
+    if (config.consoleMessage) {
+        console.log(config.consoleMessage);
     }
 
-    return 'Поздравление загружается...';
+    return report;
 }
 
-// Create Kanban board
-function createKanbanBoard() {
-    const board = document.getElementById('kanban-board');
-    board.innerHTML = '';
-
-    config.columns.forEach(column => {
-        const columnElement = createColumnElement(column);
-        board.appendChild(columnElement);
-    });
+// ============================================
+// LOCALIZATION
+// ============================================
 
-    // Render tasks
-    renderTasks();
-}
+// UI strings by locale. {name} placeholders are filled by t()
+const UI_STRINGS = {
+    ru: {
+        'header.loading': 'Загрузка...',
+        'header.undo': '↶ Отменить',
+        'header.redo': '↷ Повторить',
+        'header.reset': '↺ Сбросить доску',
+        'header.resetTitle': 'Вернуть доску к исходному состоянию',
+        'header.share': '🔗 Поделиться',
+        'header.shareTitle': 'Скопировать ссылку на текущую доску',
+        'header.timeline': '🕘 История',
+        'header.language': 'Язык',
+        'settings.title': '⚙️ Настройки',
+        'settings.effects': 'Эффекты',
+        'settings.effectsOn': 'Включены',
+        'settings.effectsReduced': 'Спокойные',
+        'settings.effectsOff': 'Выключены',
+        'settings.haptics': 'Вибрация',
+        'settings.sound': 'Звук',
+        'load.manifestFailed': 'Не удалось загрузить список досок: {message}',
+        'load.configFailed': 'Не удалось загрузить конфигурацию: {message}',
+        'load.scriptFailed': 'Не удалось загрузить {src}',
+        'report.title': 'Ошибка конфигурации',
+        'report.subtitle': 'Доска не может быть показана: проверьте {url}',
+        'report.errors': 'Ошибки ({count})',
+        'report.warnings': 'Предупреждения ({count})',
+        'report.inlineSummary': '⚠️ {url}: предупреждений - {count}',
+        'index.title': 'Поздравительные доски',
+        'index.subtitle': 'Выберите доску',
+        'index.empty': 'Пока нет ни одной доски.',
+        'notFound.title': 'Доска не найдена',
+        'notFound.subtitle': 'Доски «{slug}» не существует',
+        'notFound.text': 'Возможно, ссылка устарела или в ней опечатка.',
+        'notFound.allBoards': 'Все доски',
+        'board.saveFailed': 'Не удалось сохранить доску:',
+        'board.reset': 'Доска сброшена',
+        'board.resetHistory': 'Сброс доски',
+        'board.resetConfirm': 'Сбросить доску к исходному состоянию?\nВсе перемещения задач будут потеряны.',
+        'share.invalid': 'Ссылка на доску устарела или повреждена - ваша доска не изменилась.',
+        'share.loaded': 'Доска открыта по ссылке',
+        'share.history': 'Доска из ссылки',
+        'share.prompt': 'Скопируйте ссылку:',
+        'share.copied': 'Ссылка на доску скопирована!',
+        'greeting.loading': 'Поздравление загружается...',
+        'column.count': 'Задач в колонке',
+        'column.countWip': 'Задач / WIP-лимит',
+        'column.greetingProgress': '🎁 Открыто поздравлений: {discovered} из {total}',
+        'task.label': 'TASK-{id}',
+        'task.open': 'Открыть поздравление: {team} - {project}',
+        'task.notFound': 'Задачи {task} нет на доске',
+        'offline.updated': 'Доступна обновлённая доска',
+        'offline.reload': 'Обновить',
+        'presentation.start': '▶ Презентация',
+        'presentation.title': 'Задачи сами пойдут по колонкам - для показа на большом экране',
+        'presentation.stop': '⏹ Остановить',
+        'presentation.resume': '▶ Продолжить',
+        'presentation.paused': 'Презентация на паузе',
+        'presentation.resumed': 'Презентация продолжается',
+        'presentation.finished': 'Презентация завершена',
+        'keyboard.help': 'Пробел или Enter - взять задачу, стрелки - выбрать колонку, Enter - положить, Escape - отменить. ' +
+            'Стрелки вверх и вниз переключают задачи в колонке.',
+        'keyboard.grabbed': '{task} взята. Колонка «{column}». Стрелками выберите колонку, Enter - положить, Escape - отмена.',
+        'keyboard.target': '{column}, колонка {index} из {total}',
+        'keyboard.stayed': '{task} осталась в колонке «{column}»',
+        'keyboard.cancelled': 'Перемещение {task} отменено',
+        'history.undone': 'Отменено: {label}',
+        'history.redone': 'Повторено: {label}',
+        'history.undoAction': 'Отменить',
+        'history.undoTitle': 'Отменить: {label} (Ctrl+Z)',
+        'history.redoTitle': 'Повторить: {label} (Ctrl+Shift+Z)',
+        'history.nothingToUndo': 'Нечего отменять',
+        'history.nothingToRedo': 'Нечего повторять',
+        'timeline.title': '🕘 История',
+        'timeline.label': 'История событий',
+        'timeline.close': 'Закрыть историю',
+        'timeline.teamFilter': 'Фильтр по команде',
+        'timeline.columnFilter': 'Фильтр по колонке',
+        'timeline.allTeams': 'Все команды',
+        'timeline.allColumns': 'Все колонки',
+        'timeline.exportText': '⬇ Поздравления (.txt)',
+        'timeline.clear': 'Очистить',
+        'timeline.clearConfirm': 'Очистить историю событий?',
+        'timeline.empty': 'Пока ничего не произошло',
+        'timeline.move': '{task}: «{from}» → «{column}»',
+        'timeline.deliver': '{task} доставлена в «{column}» 🎉',
+        'timeline.reassign': '{task}: переназначена с «{fromTeam}» в «{column}»',
+        'timeline.spawn': '{task} создана в «{column}»',
+        'timeline.transcriptTitle': 'Доставленные поздравления',
+        'timeline.transcriptEmpty': 'Пока ни одно поздравление не доставлено.',
+        'workflow.onlyTo': 'Из «{column}» можно перенести только в {targets}',
+        'workflow.noneFrom': 'Из «{column}» задачи не переносятся',
+        'workflow.onlyFrom': 'В «{column}» можно перенести только из {sources}',
+        'workflow.noneTo': 'В «{column}» задачи не переносятся',
+        'workflow.wipFull': 'Колонка «{column}» заполнена ({count}/{limit})',
+        'workflow.rejected': '{task} не перемещена. {reason}',
+        'move.history': '{task} → {column}',
+        'move.spawnHistory': 'Новая задача из {task}',
+        'move.alreadyFinal': '{task} уже в «{column}». Создана новая задача {newTask} в «{backlog}»',
+        'move.spawned': 'Создана {task} в «{backlog}»',
+        'move.moved': '{task} перемещена в «{column}». Исполнитель: {team}',
+        'move.movedSpawned': '{task} перемещена в «{column}». Исполнитель: {team}. Создана новая задача {newTask} в «{backlog}»',
+        'move.notice': '{task} перемещена в «{column}»',
+        'modal.close': 'Закрыть',
+        'gallery.prev': 'Предыдущее фото',
+        'gallery.next': 'Следующее фото',
+        'gallery.fullscreen': 'Фото на весь экран',
+        'gallery.thumb': 'Фото {number}',
+        'gallery.counter': '{current} / {total}',
+        'modal.status': 'Статус:',
+        'modal.nav': 'Другие задачи',
+        'modal.prevTask': '← Предыдущая',
+        'modal.nextTask': 'Следующая →',
+        'modal.prevTaskTitle': 'Предыдущая задача (Shift+←)',
+        'modal.nextTaskTitle': 'Следующая задача (Shift+→)',
+        'modal.scope': 'Какие задачи переключать',
+        'modal.scopeColumn': 'в этой колонке',
+        'modal.scopeBoard': 'по всей доске',
+        'debug.collapse': 'Свернуть',
+        'debug.close': 'Закрыть',
+        'debug.state': 'Состояние',
+        'debug.drag': 'Перетаскивание',
+        'debug.photos': 'Смена фото',
+        'debug.images': 'Картинки',
+        'debug.effects': 'Эффекты',
+        'debug.column': 'Колонка',
+        'effects.title': '✨ Галерея эффектов',
+        'effects.count': 'Эффектов: {count}',
+        'effects.back': '← Назад',
+        'effects.play': '▶ Запустить',
+        'effects.copied': 'Скопировано: {snippet}',
+        'effects.broken': 'С ошибками: {names}',
+        'effects.allOk': 'Все эффекты в порядке',
+        'effects.duration': '{duration} мс',
+        'effects.noRule': 'В style.css нет правила .{className}',
+        'effects.noAnimation': 'У .{className} нет animation',
+        'effects.noKeyframes': 'Нет @keyframes {name} ({selector})',
+        'effects.cutShort': 'Анимация {animation} мс, класс снимается через {duration} мс',
+        'effects.noColumnAnimation': 'Нет эффекта columnAnimation "{name}"',
+        'effects.runFailed': 'Ошибка при запуске: {message}',
+        'validation.configObject': 'Конфигурация должна быть JSON-объектом',
+        'validation.nonEmptyString': '{path}: ожидается непустая строка',
+        'validation.string': '{path}: ожидается строка',
+        'validation.stringOrNull': '{path}: ожидается строка или null',
+        'validation.stringList': '{path}: ожидается массив строк',
+        'validation.object': '{path}: ожидается объект',
+        'validation.array': '{path}: ожидается массив',
+        'validation.boolean': '{path}: ожидается true или false',
+        'validation.positiveInteger': '{path}: ожидается целое число больше 0',
+        'validation.oneOf': '{path}: ожидается одно из значений {values}',
+        'validation.color': '{path}: ожидается цвет в формате #RRGGBB',
+        'validation.duplicateId': '{path}: повторяющийся id «{id}»',
+        'validation.duplicateTaskId': '{path}: повторяющийся id {id}',
+        'validation.unknownColumn': '{path}: неизвестная колонка «{id}»',
+        'validation.unknownTeam': '{path}: неизвестная команда «{id}»',
+        'validation.teams': 'teams: ожидается непустой массив команд',
+        'validation.noProjects': '{path}: у команды нет проектов - будет показано только название команды',
+        'validation.photos': '{path}: ожидается массив путей к фото',
+        'validation.noPhotos': '{path}: нет фотографий - будет показана заглушка',
+        'validation.photo': '{path}: ожидается путь к фото',
+        'validation.photoInterval': '{path}: ожидается интервал смены фото в мс от 300 до 60000',
+        'validation.columns': 'columns: ожидается непустой массив колонок',
+        'validation.teamIds': '{path}: ожидается массив id команд',
+        'validation.columnIds': '{path}: ожидается массив id колонок',
+        'validation.noAssignees': '{path}: для режима specific не указаны команды - будет выбрана случайная',
+        'validation.unknownSound': '{path}: неизвестный звук «{sound}» - колонка будет без звука',
+        'validation.noBacklog': 'columns: нет колонки «backlog» - новые задачи из Production создаваться не будут',
+        'validation.greetings': '{path}: ожидается объект с поздравлениями по колонкам',
+        'validation.emptyGreetings': '{path}: пустой список поздравлений',
+        'validation.greetingsColumn': '{path}: нет колонки с id «{id}» - поздравления не используются',
+        'validation.noColumnGreetings': '{path}: нет поздравлений для колонки - будет показана заглушка',
+        'validation.noTeamGreetings': '{path}: нет поздравлений для команды - будет показана заглушка',
+        'validation.effects': 'effects: ожидается объект с эффектами по названиям',
+        'validation.language': 'language: ожидается код языка, например «ru»',
+        'validation.locales': 'locales: ожидается объект с переводами по языкам',
+        'validation.initialTasks': 'initialTasks: ожидается массив задач',
+        'validation.initialOverWip': '{path}: в начальных задачах {count} задач при лимите {limit}',
+        'validation.projectIndex': '{path}: у команды «{team}» нет проекта с индексом {index}',
+        'validation.projectIndexRange': '{path}: у команды «{team}» нет проекта с индексом {index} (допустимо 0-{max})',
+        'validation.presentationOrder': '{path}: ожидается массив хотя бы из двух колонок',
+        'validation.duplicateColumn': '{path}: колонка «{id}» уже есть в списке',
+        'validation.finalNotLast': '{path}: из финальной колонки «{id}» задачи не переносятся - она может быть только последней',
+        'validation.msRange': '{path}: ожидается время в мс от {min} до {max}',
+        'validation.unknownEffect': '{path}: неизвестный эффект «{name}»',
+        'validation.unknownEffectHidden': '{path}: неизвестный эффект «{name}» - эффект не будет показан',
+        'validation.effectSpec': '{path}: ожидается название эффекта или объект с составным эффектом',
+        'validation.effectList': '{path}: ожидается непустой массив эффектов',
+        'validation.sequenceInterval': '{path}: ожидается пауза в мс от 0 до 10000 (только для sequence)',
+        'validation.categories': '{path}: ожидается массив из значений {values}',
+        'validation.effectNames': '{path}: ожидается массив названий эффектов',
+        'validation.emptyPool': '{path}: после фильтров не осталось эффектов - эффект не будет показан',
+        'validation.weights': '{path}: ожидается объект с весами эффектов, например { "fireworks": 3, "stars": 1 }, или одно из полей sequence, combo, categories, exclude',
+        'validation.zeroWeights': '{path}: хотя бы один вес должен быть больше 0',
+        'validation.reservedName': '{path}: название «{name}» занято встроенным эффектом',
+        'validation.customEffect': '{path}: ожидается объект с описанием эффекта',
+        'validation.particles': '{path}: ожидается массив символов или эмодзи',
+        'validation.colors': '{path}: ожидается массив цветов в формате #RRGGBB',
+        'validation.noParticles': '{path}: нужен непустой список particles или colors',
+        'validation.count': '{path}: ожидается целое число от 1 до 200',
+        'validation.duration': '{path}: ожидается длительность в мс от 100 до 10000',
+        'validation.size': '{path}: ожидается размер в rem больше 0 и не больше 10',
+        'validation.unknownBuiltInEffect': '{path}: неизвестный встроенный эффект «{name}»',
+        'validation.sound': '{path}: ожидается null или одно из значений {values}',
+        'validation.translation': '{path}: ожидается объект с переводом',
+        'validation.translationTooLong': '{path}: перевод длиннее оригинала ({count} из {total}) - лишние строки не используются',
+        'validation.columnTranslations': '{path}: ожидается объект с переводами по id колонок',
+        'validation.teamTranslations': '{path}: ожидается объект с переводами по id команд',
+        'validation.translationColumn': '{path}: в greetings нет колонки «{id}» - перевод не используется',
+        'validation.translationList': '{path}: ожидается массив строк, как в {original}',
+        'validation.translationTeams': '{path}: ожидается объект по командам, как в {original}',
+        'validation.translationTeam': '{path}: в {original} нет команды «{id}»',
+        'validation.pool': '{path}: ожидается массив строк или объект по командам',
+        'editor.title': '⚙️ Редактор конфигурации',
+        'editor.loadFailed': 'Не удалось загрузить {url} - открыт пустой шаблон.',
+        'editor.download': '⬇ Скачать config.json',
+        'editor.downloadTitle': 'Сохранить конфигурацию в файл',
+        'editor.downloadWithErrors': 'В конфигурации есть ошибки ({count}). Всё равно скачать?',
+        'editor.open': '📂 Загрузить файл',
+        'editor.openTitle': 'Открыть config.json с компьютера',
+        'editor.fileLoaded': 'Загружен {file}',
+        'editor.fileFailed': 'Не удалось прочитать {file}: {message}',
+        'editor.noErrors': '✓ Конфигурация без ошибок',
+        'editor.moveUp': 'Выше',
+        'editor.moveDown': 'Ниже',
+        'editor.remove': 'Удалить',
+        'editor.general': 'Общее',
+        'editor.boardTitle': 'Заголовок',
+        'editor.subtitle': 'Подзаголовок',
+        'editor.consoleMessage': 'Сообщение в консоли',
+        'editor.name': 'Название',
+        'editor.description': 'Описание',
+        'editor.columns': 'Колонки ({count})',
+        'editor.columnNumber': 'Колонка {number}',
+        'editor.addColumn': '+ Добавить колонку',
+        'editor.newColumn': 'Новая колонка',
+        'editor.assignees': 'Исполнители',
+        'editor.assigneesRandom': 'random - случайная команда',
+        'editor.assigneesSpecific': 'specific - выбранные команды',
+        'editor.effect': 'Эффект',
+        'editor.noEffect': '- без эффекта -',
+        'editor.randomEffect': 'random (случайный)',
+        'editor.customEffect': '{name} (из effects)',
+        'editor.compositeEffect': 'составной (из config.json)',
+        'editor.sound': 'Звук',
+        'editor.soundDefault': '- как у эффекта -',
+        'editor.soundNone': 'без звука',
+        'editor.finalColumn': 'Финальная колонка (Production)',
+        'editor.wipLimit': 'WIP-лимит',
+        'editor.noLimit': 'без лимита',
+        'editor.allowedFrom': 'Можно перенести из',
+        'editor.allowedTo': 'Можно перенести в',
+        'editor.anyColumn': 'любой колонки',
+        'editor.selectedColumns': 'только выбранных',
+        'editor.teams': 'Команды ({count})',
+        'editor.teamNumber': 'Команда {number}',
+        'editor.addTeam': '+ Добавить команду',
+        'editor.newTeam': 'Новая команда',
+        'editor.color': 'Цвет',
+        'editor.photoInterval': 'Смена фото, мс',
+        'editor.sameAsTeam': 'как у команды',
+        'editor.projectNumber': 'Проект {index}',
+        'editor.addProject': '+ Добавить проект',
+        'editor.newProject': 'Новый проект',
+        'editor.photos': 'Фото',
+        'editor.photosHint': 'Один путь на строку, например images/team/photo.jpg',
+        'editor.greetings': 'Поздравления',
+        'editor.greetingsMode': 'Режим',
+        'editor.greetingsCommon': 'Общий список',
+        'editor.greetingsByTeam': 'По командам',
+        'editor.greetingsHint': 'Одно поздравление на строку',
+        'editor.initialTasks': 'Начальные задачи ({count})',
+        'editor.taskId': 'ID задачи',
+        'editor.column': 'Колонка',
+        'editor.team': 'Команда',
+        'editor.project': 'Проект',
+        'editor.randomProject': 'случайный',
+        'editor.addTask': '+ Добавить задачу',
+        'editor.templateTitle': 'Новая доска',
+        'editor.templateGreeting': 'С днём рождения!'
+    },
+    en: {
+        'header.loading': 'Loading...',
+        'header.undo': '↶ Undo',
+        'header.redo': '↷ Redo',
+        'header.reset': '↺ Reset board',
+        'header.resetTitle': 'Return the board to its initial state',
+        'header.share': '🔗 Share',
+        'header.shareTitle': 'Copy a link to the current board',
+        'header.timeline': '🕘 History',
+        'header.language': 'Language',
+        'settings.title': '⚙️ Settings',
+        'settings.effects': 'Effects',
+        'settings.effectsOn': 'On',
+        'settings.effectsReduced': 'Reduced',
+        'settings.effectsOff': 'Off',
+        'settings.haptics': 'Vibration',
+        'settings.sound': 'Sound',
+        'load.manifestFailed': 'Could not load the list of boards: {message}',
+        'load.configFailed': 'Could not load the configuration: {message}',
+        'load.scriptFailed': 'Could not load {src}',
+        'report.title': 'Configuration error',
+        'report.subtitle': 'The board cannot be shown: check {url}',
+        'report.errors': 'Errors ({count})',
+        'report.warnings': 'Warnings ({count})',
+        'report.inlineSummary': '⚠️ {url}: warnings - {count}',
+        'index.title': 'Greeting boards',
+        'index.subtitle': 'Choose a board',
+        'index.empty': 'There are no boards yet.',
+        'notFound.title': 'Board not found',
+        'notFound.subtitle': 'Board “{slug}” does not exist',
+        'notFound.text': 'The link may be outdated or contain a typo.',
+        'notFound.allBoards': 'All boards',
+        'board.saveFailed': 'Could not save the board:',
+        'board.reset': 'Board reset',
+        'board.resetHistory': 'Board reset',
+        'board.resetConfirm': 'Reset the board to its initial state?\nAll task moves will be lost.',
+        'share.invalid': 'The board link is outdated or broken - your board is unchanged.',
+        'share.loaded': 'Board opened from the link',
+        'share.history': 'Board from the link',
+        'share.prompt': 'Copy the link:',
+        'share.copied': 'Board link copied!',
+        'greeting.loading': 'Greeting is loading...',
+        'column.count': 'Tasks in column',
+        'column.countWip': 'Tasks / WIP limit',
+        'column.greetingProgress': '🎁 Greetings discovered: {discovered} of {total}',
+        'task.label': 'TASK-{id}',
+        'task.open': 'Open greeting: {team} - {project}',
+        'task.notFound': '{task} is not on the board',
+        'offline.updated': 'An updated board is available',
+        'offline.reload': 'Reload',
+        'presentation.start': '▶ Presentation',
+        'presentation.title': 'Tasks move through the columns by themselves - for a big screen',
+        'presentation.stop': '⏹ Stop',
+        'presentation.resume': '▶ Resume',
+        'presentation.paused': 'Presentation paused',
+        'presentation.resumed': 'Presentation resumed',
+        'presentation.finished': 'Presentation finished',
+        'keyboard.help': 'Space or Enter - pick up a task, arrows - choose a column, Enter - drop, Escape - cancel. ' +
+            'Up and down arrows switch between tasks in a column.',
+        'keyboard.grabbed': '{task} picked up. Column “{column}”. Use arrows to choose a column, Enter - drop, Escape - cancel.',
+        'keyboard.target': '{column}, column {index} of {total}',
+        'keyboard.stayed': '{task} stayed in column “{column}”',
+        'keyboard.cancelled': 'Moving {task} cancelled',
+        'history.undone': 'Undone: {label}',
+        'history.redone': 'Redone: {label}',
+        'history.undoAction': 'Undo',
+        'history.undoTitle': 'Undo: {label} (Ctrl+Z)',
+        'history.redoTitle': 'Redo: {label} (Ctrl+Shift+Z)',
+        'history.nothingToUndo': 'Nothing to undo',
+        'history.nothingToRedo': 'Nothing to redo',
+        'timeline.title': '🕘 History',
+        'timeline.label': 'Event history',
+        'timeline.close': 'Close history',
+        'timeline.teamFilter': 'Filter by team',
+        'timeline.columnFilter': 'Filter by column',
+        'timeline.allTeams': 'All teams',
+        'timeline.allColumns': 'All columns',
+        'timeline.exportText': '⬇ Greetings (.txt)',
+        'timeline.clear': 'Clear',
+        'timeline.clearConfirm': 'Clear the event history?',
+        'timeline.empty': 'Nothing has happened yet',
+        'timeline.move': '{task}: “{from}” → “{column}”',
+        'timeline.deliver': '{task} delivered to “{column}” 🎉',
+        'timeline.reassign': '{task}: reassigned from “{fromTeam}” in “{column}”',
+        'timeline.spawn': '{task} created in “{column}”',
+        'timeline.transcriptTitle': 'Delivered greetings',
+        'timeline.transcriptEmpty': 'No greetings have been delivered yet.',
+        'workflow.onlyTo': 'Tasks from “{column}” can only go to {targets}',
+        'workflow.noneFrom': 'Tasks cannot be moved out of “{column}”',
+        'workflow.onlyFrom': 'Only tasks from {sources} can go to “{column}”',
+        'workflow.noneTo': 'Tasks cannot be moved into “{column}”',
+        'workflow.wipFull': 'Column “{column}” is full ({count}/{limit})',
+        'workflow.rejected': '{task} was not moved. {reason}',
+        'move.history': '{task} → {column}',
+        'move.spawnHistory': 'New task from {task}',
+        'move.alreadyFinal': '{task} is already in “{column}”. New task {newTask} created in “{backlog}”',
+        'move.spawned': '{task} created in “{backlog}”',
+        'move.moved': '{task} moved to “{column}”. Assignee: {team}',
+        'move.movedSpawned': '{task} moved to “{column}”. Assignee: {team}. New task {newTask} created in “{backlog}”',
+        'move.notice': '{task} moved to “{column}”',
+        'modal.close': 'Close',
+        'gallery.prev': 'Previous photo',
+        'gallery.next': 'Next photo',
+        'gallery.fullscreen': 'Full screen photo',
+        'gallery.thumb': 'Photo {number}',
+        'gallery.counter': '{current} / {total}',
+        'modal.status': 'Status:',
+        'modal.nav': 'Other tasks',
+        'modal.prevTask': '← Previous',
+        'modal.nextTask': 'Next →',
+        'modal.prevTaskTitle': 'Previous task (Shift+←)',
+        'modal.nextTaskTitle': 'Next task (Shift+→)',
+        'modal.scope': 'Which tasks to walk through',
+        'modal.scopeColumn': 'in this column',
+        'modal.scopeBoard': 'across the board',
+        'debug.collapse': 'Collapse',
+        'debug.close': 'Close',
+        'debug.state': 'State',
+        'debug.drag': 'Drag and drop',
+        'debug.photos': 'Photo rotation',
+        'debug.images': 'Images',
+        'debug.effects': 'Effects',
+        'debug.column': 'Column',
+        'effects.title': '✨ Effects gallery',
+        'effects.count': 'Effects: {count}',
+        'effects.back': '← Back',
+        'effects.play': '▶ Play',
+        'effects.copied': 'Copied: {snippet}',
+        'effects.broken': 'Broken: {names}',
+        'effects.allOk': 'All effects are fine',
+        'effects.duration': '{duration} ms',
+        'effects.noRule': 'style.css has no .{className} rule',
+        'effects.noAnimation': '.{className} has no animation',
+        'effects.noKeyframes': 'No @keyframes {name} ({selector})',
+        'effects.cutShort': 'Animation takes {animation} ms, the class is removed after {duration} ms',
+        'effects.noColumnAnimation': 'No columnAnimation effect "{name}"',
+        'effects.runFailed': 'Failed to run: {message}',
+        'validation.configObject': 'The configuration must be a JSON object',
+        'validation.nonEmptyString': '{path}: expected a non-empty string',
+        'validation.string': '{path}: expected a string',
+        'validation.stringOrNull': '{path}: expected a string or null',
+        'validation.stringList': '{path}: expected an array of strings',
+        'validation.object': '{path}: expected an object',
+        'validation.array': '{path}: expected an array',
+        'validation.boolean': '{path}: expected true or false',
+        'validation.positiveInteger': '{path}: expected an integer greater than 0',
+        'validation.oneOf': '{path}: expected one of {values}',
+        'validation.color': '{path}: expected a color in #RRGGBB format',
+        'validation.duplicateId': '{path}: duplicate id “{id}”',
+        'validation.duplicateTaskId': '{path}: duplicate id {id}',
+        'validation.unknownColumn': '{path}: unknown column “{id}”',
+        'validation.unknownTeam': '{path}: unknown team “{id}”',
+        'validation.teams': 'teams: expected a non-empty array of teams',
+        'validation.noProjects': '{path}: the team has no projects - only the team name will be shown',
+        'validation.photos': '{path}: expected an array of photo paths',
+        'validation.noPhotos': '{path}: no photos - a placeholder will be shown',
+        'validation.photo': '{path}: expected a photo path',
+        'validation.photoInterval': '{path}: expected a photo interval in ms from 300 to 60000',
+        'validation.columns': 'columns: expected a non-empty array of columns',
+        'validation.teamIds': '{path}: expected an array of team ids',
+        'validation.columnIds': '{path}: expected an array of column ids',
+        'validation.noAssignees': '{path}: no teams for the specific mode - a random team will be chosen',
+        'validation.unknownSound': '{path}: unknown sound “{sound}” - the column will be silent',
+        'validation.noBacklog': 'columns: there is no “backlog” column - no new tasks will be created from Production',
+        'validation.greetings': '{path}: expected an object with greetings by column',
+        'validation.emptyGreetings': '{path}: empty list of greetings',
+        'validation.greetingsColumn': '{path}: there is no column with id “{id}” - the greetings are not used',
+        'validation.noColumnGreetings': '{path}: no greetings for the column - a placeholder will be shown',
+        'validation.noTeamGreetings': '{path}: no greetings for the team - a placeholder will be shown',
+        'validation.effects': 'effects: expected an object with effects by name',
+        'validation.language': 'language: expected a language code such as “ru”',
+        'validation.locales': 'locales: expected an object with translations by language',
+        'validation.initialTasks': 'initialTasks: expected an array of tasks',
+        'validation.initialOverWip': '{path}: initial tasks put {count} tasks in the column with a limit of {limit}',
+        'validation.projectIndex': '{path}: team “{team}” has no project with index {index}',
+        'validation.projectIndexRange': '{path}: team “{team}” has no project with index {index} (allowed 0-{max})',
+        'validation.presentationOrder': '{path}: expected an array of at least two columns',
+        'validation.duplicateColumn': '{path}: column “{id}” is already in the list',
+        'validation.finalNotLast': '{path}: tasks do not leave the final column “{id}” - it can only be the last one',
+        'validation.msRange': '{path}: expected a time in ms from {min} to {max}',
+        'validation.unknownEffect': '{path}: unknown effect “{name}”',
+        'validation.unknownEffectHidden': '{path}: unknown effect “{name}” - no effect will be shown',
+        'validation.effectSpec': '{path}: expected an effect name or a compound effect object',
+        'validation.effectList': '{path}: expected a non-empty array of effects',
+        'validation.sequenceInterval': '{path}: expected a pause in ms from 0 to 10000 (sequence only)',
+        'validation.categories': '{path}: expected an array of {values}',
+        'validation.effectNames': '{path}: expected an array of effect names',
+        'validation.emptyPool': '{path}: no effects are left after the filters - no effect will be shown',
+        'validation.weights': '{path}: expected an object with effect weights, e.g. { "fireworks": 3, "stars": 1 }, or one of the fields sequence, combo, categories, exclude',
+        'validation.zeroWeights': '{path}: at least one weight must be greater than 0',
+        'validation.reservedName': '{path}: the name “{name}” is taken by a built-in effect',
+        'validation.customEffect': '{path}: expected an object describing the effect',
+        'validation.particles': '{path}: expected an array of characters or emoji',
+        'validation.colors': '{path}: expected an array of colors in #RRGGBB format',
+        'validation.noParticles': '{path}: a non-empty particles or colors list is required',
+        'validation.count': '{path}: expected an integer from 1 to 200',
+        'validation.duration': '{path}: expected a duration in ms from 100 to 10000',
+        'validation.size': '{path}: expected a size in rem greater than 0 and at most 10',
+        'validation.unknownBuiltInEffect': '{path}: unknown built-in effect “{name}”',
+        'validation.sound': '{path}: expected null or one of {values}',
+        'validation.translation': '{path}: expected a translation object',
+        'validation.translationTooLong': '{path}: the translation is longer than the original ({count} of {total}) - extra lines are not used',
+        'validation.columnTranslations': '{path}: expected an object with translations by column id',
+        'validation.teamTranslations': '{path}: expected an object with translations by team id',
+        'validation.translationColumn': '{path}: greetings has no column “{id}” - the translation is not used',
+        'validation.translationList': '{path}: expected an array of strings, as in {original}',
+        'validation.translationTeams': '{path}: expected an object by team, as in {original}',
+        'validation.translationTeam': '{path}: {original} has no team “{id}”',
+        'validation.pool': '{path}: expected an array of strings or an object by team',
+        'editor.title': '⚙️ Config editor',
+        'editor.loadFailed': 'Could not load {url} - an empty template is open.',
+        'editor.download': '⬇ Download config.json',
+        'editor.downloadTitle': 'Save the configuration to a file',
+        'editor.downloadWithErrors': 'The configuration has errors ({count}). Download anyway?',
+        'editor.open': '📂 Open file',
+        'editor.openTitle': 'Open config.json from your computer',
+        'editor.fileLoaded': 'Loaded {file}',
+        'editor.fileFailed': 'Could not read {file}: {message}',
+        'editor.noErrors': '✓ The configuration has no errors',
+        'editor.moveUp': 'Move up',
+        'editor.moveDown': 'Move down',
+        'editor.remove': 'Remove',
+        'editor.general': 'General',
+        'editor.boardTitle': 'Title',
+        'editor.subtitle': 'Subtitle',
+        'editor.consoleMessage': 'Console message',
+        'editor.name': 'Name',
+        'editor.description': 'Description',
+        'editor.columns': 'Columns ({count})',
+        'editor.columnNumber': 'Column {number}',
+        'editor.addColumn': '+ Add column',
+        'editor.newColumn': 'New column',
+        'editor.assignees': 'Assignees',
+        'editor.assigneesRandom': 'random - any team',
+        'editor.assigneesSpecific': 'specific - selected teams',
+        'editor.effect': 'Effect',
+        'editor.noEffect': '- no effect -',
+        'editor.randomEffect': 'random (any effect)',
+        'editor.customEffect': '{name} (from effects)',
+        'editor.compositeEffect': 'compound (from config.json)',
+        'editor.sound': 'Sound',
+        'editor.soundDefault': '- same as the effect -',
+        'editor.soundNone': 'no sound',
+        'editor.finalColumn': 'Final column (Production)',
+        'editor.wipLimit': 'WIP limit',
+        'editor.noLimit': 'no limit',
+        'editor.allowedFrom': 'Can be moved from',
+        'editor.allowedTo': 'Can be moved to',
+        'editor.anyColumn': 'any column',
+        'editor.selectedColumns': 'selected columns only',
+        'editor.teams': 'Teams ({count})',
+        'editor.teamNumber': 'Team {number}',
+        'editor.addTeam': '+ Add team',
+        'editor.newTeam': 'New team',
+        'editor.color': 'Color',
+        'editor.photoInterval': 'Photo change, ms',
+        'editor.sameAsTeam': 'same as the team',
+        'editor.projectNumber': 'Project {index}',
+        'editor.addProject': '+ Add project',
+        'editor.newProject': 'New project',
+        'editor.photos': 'Photos',
+        'editor.photosHint': 'One path per line, e.g. images/team/photo.jpg',
+        'editor.greetings': 'Greetings',
+        'editor.greetingsMode': 'Mode',
+        'editor.greetingsCommon': 'Common list',
+        'editor.greetingsByTeam': 'By team',
+        'editor.greetingsHint': 'One greeting per line',
+        'editor.initialTasks': 'Initial tasks ({count})',
+        'editor.taskId': 'Task ID',
+        'editor.column': 'Column',
+        'editor.team': 'Team',
+        'editor.project': 'Project',
+        'editor.randomProject': 'random',
+        'editor.addTask': '+ Add task',
+        'editor.templateTitle': 'New board',
+        'editor.templateGreeting': 'Happy birthday!'
+    }
+};
 
-// Create column element
-function createColumnElement(column) {
-    const columnDiv = document.createElement('div');
-    columnDiv.className = 'kanban-column';
-    columnDiv.dataset.column = column.id;
+// Catalogs tried when a string is missing in the current locale
+const UI_FALLBACK_LOCALES = ['en', DEFAULT_LOCALE];
 
-    columnDiv.innerHTML = `
-        <div class="column-header">
-            <div class="column-title">${column.title}</div>
-            <div class="column-description">${column.description}</div>
-        </div>
-        <div class="column-tasks" data-column-id="${column.id}"></div>
-    `;
+// Translate UI string: t('report.errors', { count: 3 })
+function t(key, params = {}) {
+    const catalog = [currentLocale, ...UI_FALLBACK_LOCALES]
+        .map(locale => UI_STRINGS[locale])
+        .find(strings => strings && strings[key] !== undefined);
+    const text = catalog ? catalog[key] : key;
 
-    const tasksContainer = columnDiv.querySelector('.column-tasks');
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
 
-    // Setup drag and drop
-    tasksContainer.addEventListener('dragover', handleDragOver);
-    tasksContainer.addEventListener('drop', handleDrop);
-    tasksContainer.addEventListener('dragleave', handleDragLeave);
+// Language the config text is written in
+function getConfigLanguage(cfg) {
+    return cfg && cfg.language ? cfg.language : DEFAULT_LOCALE;
+}
 
-    // Setup touch scrolling for empty space in column
-    let columnTouchStartY = 0;
-    let columnInitialScroll = 0;
+// Locales offered in the switcher: UI catalogs plus config translations
+function getAvailableLocales() {
+    const locales = Object.keys(UI_STRINGS);
+    if (baseConfig) {
+        locales.push(getConfigLanguage(baseConfig), ...Object.keys(baseConfig.locales || {}));
+    }
+    return [...new Set(locales)];
+}
 
-    tasksContainer.addEventListener('touchstart', (e) => {
-        // Only handle if touch is on the container itself, not on a task
-        if (e.target === tasksContainer) {
-            columnTouchStartY = e.touches[0].clientY;
-            columnInitialScroll = tasksContainer.scrollTop;
-        }
-    }, { passive: true });
+// Pick locale: saved choice, then browser languages, then config language
+function detectLocale(available) {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        // Storage disabled - use browser languages
+    }
 
-    tasksContainer.addEventListener('touchmove', (e) => {
-        // Only handle if touch started on the container itself
-        if (e.target === tasksContainer && columnTouchStartY !== 0) {
-            const deltaY = e.touches[0].clientY - columnTouchStartY;
-            tasksContainer.scrollTop = columnInitialScroll - deltaY;
-        }
-    }, { passive: true });
+    const preferred = [saved, ...(navigator.languages || [navigator.language])].filter(Boolean);
+    for (const tag of preferred) {
+        const locale = tag.toLowerCase();
+        if (available.includes(locale)) return locale;
 
-    tasksContainer.addEventListener('touchend', () => {
-        columnTouchStartY = 0;
-    }, { passive: true });
+        const language = locale.split('-')[0];
+        if (available.includes(language)) return language;
+    }
 
-    return columnDiv;
+    return getConfigLanguage(baseConfig);
 }
 
-// Start photo rotation for a task
-function startPhotoRotation(taskId, photos) {
-    // Stop existing interval if any
-    stopPhotoRotation(taskId);
+// Native name of a language for the switcher ("English", "русский")
+function getLocaleName(locale) {
+    try {
+        const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    } catch (error) {
+        return locale.toUpperCase();
+    }
+}
 
-    let currentPhotoIndex = 0;
+// Greeting list with translated items, untranslated items stay in the config language
+function localizeGreetingList(list, translated) {
+    if (!Array.isArray(list) || !Array.isArray(translated)) return list;
+    return list.map((greeting, i) => (typeof translated[i] === 'string' && translated[i] ? translated[i] : greeting));
+}
 
-    // Create interval to rotate photos every second
-    photoIntervals[taskId] = setInterval(() => {
-        currentPhotoIndex = (currentPhotoIndex + 1) % photos.length;
+// Copy of config with text fields from config.locales[locale].
+// Greetings keep their indices, so decks, snapshots and progress work in any language
+function localizeConfig(cfg, locale) {
+    const translation = cfg.locales && cfg.locales[locale];
+    if (locale === getConfigLanguage(cfg) || !translation) return cfg;
+
+    const columns = translation.columns || {};
+    const teams = translation.teams || {};
+    const greetings = translation.greetings || {};
+
+    return {
+        ...cfg,
+        title: translation.title || cfg.title,
+        subtitle: translation.subtitle !== undefined ? translation.subtitle : cfg.subtitle,
+        columns: cfg.columns.map(column => ({
+            ...column,
+            title: (columns[column.id] && columns[column.id].title) || column.title,
+            description: (columns[column.id] && columns[column.id].description !== undefined)
+                ? columns[column.id].description
+                : column.description
+        })),
+        teams: cfg.teams.map(team => {
+            const teamTranslation = teams[team.id];
+            if (!teamTranslation) return team;
+
+            const projectNames = teamTranslation.projects || [];
+            return {
+                ...team,
+                name: teamTranslation.name || team.name,
+                projects: team.projects && team.projects.map((project, i) => (
+                    projectNames[i] ? { ...project, name: projectNames[i] } : project
+                ))
+            };
+        }),
+        greetings: Object.fromEntries(Object.entries(cfg.greetings).map(([columnId, pool]) => {
+            if (Array.isArray(pool)) {
+                return [columnId, localizeGreetingList(pool, greetings[columnId])];
+            }
+            const teamGreetings = greetings[columnId] || {};
+            return [columnId, Object.fromEntries(Object.entries(pool).map(([teamId, list]) => (
+                [teamId, localizeGreetingList(list, teamGreetings[teamId])]
+            )))];
+        }))
+    };
+}
 
-        // Find the image element for this task
-        const img = document.querySelector(`.team-photo[data-task-id="${taskId}"]`);
-        if (img) {
-            img.src = photos[currentPhotoIndex];
-        }
-    }, 1000); // Change every 1 second
+// Set loaded config and its translation to the current locale
+function setActiveConfig(loadedConfig) {
+    baseConfig = loadedConfig;
+    registerCustomEffects(baseConfig);
+    currentLocale = detectLocale(getAvailableLocales());
+    config = localizeConfig(baseConfig, currentLocale);
 }
 
-// Stop photo rotation for a task
-function stopPhotoRotation(taskId) {
-    if (photoIntervals[taskId]) {
-        clearInterval(photoIntervals[taskId]);
-        delete photoIntervals[taskId];
+// Same greeting of a task in another translation of the config
+function translateGreeting(task, fromConfig, toConfig) {
+    const fromPool = getGreetingPool(task.columnId, task.teamId, fromConfig);
+    const toPool = getGreetingPool(task.columnId, task.teamId, toConfig);
+    const index = fromPool ? fromPool.indexOf(task.description) : -1;
+
+    if (!toPool || toPool.length === 0) {
+        return t('greeting.loading');
     }
+    return index !== -1 ? toPool[index] : task.description;
 }
 
-// Render all tasks
-function renderTasks() {
-    // Stop all existing photo rotations
-    Object.keys(photoIntervals).forEach(taskId => {
-        stopPhotoRotation(taskId);
-    });
+// Translate static text of index.html marked with data-i18n attributes
+function applyStaticTranslations() {
+    document.documentElement.lang = currentLocale;
 
-    // Clear all columns
-    document.querySelectorAll('.column-tasks').forEach(container => {
-        container.innerHTML = '';
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
     });
-
-    // Render each task
-    tasks.forEach(task => {
-        const taskElement = createTaskElement(task);
-        const container = document.querySelector(`.column-tasks[data-column-id="${task.columnId}"]`);
-        if (container) {
-            container.appendChild(taskElement);
-        }
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
     });
 }
 
-// Create task element
-function createTaskElement(task) {
-    const team = getTeamById(task.teamId);
-    const project = getProjectByIndex(team, task.projectIndex || 0);
-    const taskDiv = document.createElement('div');
-    taskDiv.className = 'task-card';
-    taskDiv.draggable = true;
-    taskDiv.dataset.taskId = task.id;
-
-    // Get photos from project
-    const photos = project && project.photos ? project.photos : [];
-    const projectName = project ? project.name : team.name;
+// Switch language and re-render the board keeping tasks, history and timeline
+function setLocale(locale) {
+    if (locale === currentLocale) return;
 
-    taskDiv.innerHTML = `
-        <div class="task-header">
-            <span class="task-id">TASK-${task.id}</span>
-            <div class="team-badge" style="background: ${team.color}20;">
-                <img src="${photos[0] || 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22%3E%3Crect width=%2224%22 height=%2224%22 fill=%22%23ccc%22/%3E%3C/svg%3E'}"
-                     alt="${team.name}"
-                     class="team-photo"
-                     data-task-id="${task.id}"
-                     onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22%3E%3Crect width=%2224%22 height=%2224%22 fill=%22%23ccc%22/%3E%3C/svg%3E'">
-                <div class="team-info">
-                    <span class="team-name">${team.name}</span>
-                    <span class="project-name">${projectName}</span>
-                </div>
-            </div>
-        </div>
-        <div class="task-description">${task.description}</div>
-    `;
-
-    // Start photo rotation if there are multiple photos
-    if (photos.length > 1) {
-        startPhotoRotation(task.id, photos);
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        // Choice is kept until reload
     }
 
-    // Drag events for desktop
-    taskDiv.addEventListener('dragstart', handleDragStart);
-    taskDiv.addEventListener('dragend', handleDragEnd);
+    const previousConfig = config;
+    currentLocale = locale;
+    config = localizeConfig(baseConfig, locale);
 
-    // Touch events for mobile - all non-passive to give full control
-    taskDiv.addEventListener('touchstart', handleTouchStart, { passive: false });
+    // Greetings on cards and in undo history follow the language
+    const translateTasks = list => list.forEach(task => {
+        task.description = translateGreeting(task, previousConfig, config);
+    });
+    translateTasks(tasks);
+    [...undoStack, ...redoStack].forEach(entry => translateTasks(entry.board.tasks));
+    saveBoardState();
 
-    taskDiv.addEventListener('touchmove', handleTouchMove, { passive: false });
-    taskDiv.addEventListener('touchend', handleTouchEnd, { passive: false });
-    taskDiv.addEventListener('touchcancel', (e) => {
-        if (isDragging && draggedTask && lastColumnOver) {
-            // If we're dragging, treat touchcancel as drop
-            const newColumnId = lastColumnOver.dataset.columnId;
-            const oldColumnId = draggedTask.columnId;
+    applyStaticTranslations();
+    document.getElementById('main-title').textContent = config.title;
+    document.getElementById('subtitle').textContent = config.subtitle;
 
-            if (newColumnId && oldColumnId) {
-                moveTask(draggedTask.id, newColumnId, oldColumnId);
-            }
-        }
+    createKanbanBoard();
+    updateHistoryButtons();
+    updatePresentationButton();
+    populateTimelineFilters();
+    renderTimeline();
 
-        // Always cleanup after touchcancel
-        cleanupDragState();
-    }, { passive: true });
+    if (document.getElementById('debug-panel')) {
+        refreshDebugPanel();
+    }
 
-    // Prevent context menu and text selection on long press
-    taskDiv.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        return false;
-    });
+    const modal = document.getElementById('task-modal');
+    const modalTask = tasks.find(task => task.id === modalTaskId);
+    if (modal.classList.contains('show') && modalTask) {
+        fillTaskModal(modalTask);
+        updateGallery();
+    }
+}
 
-    taskDiv.addEventListener('selectstart', (e) => {
-        e.preventDefault();
-        return false;
-    });
+// Setup language switcher in the header (hidden when there is only one language)
+function setupLocaleSwitcher() {
+    const switcher = document.getElementById('locale-switcher');
+    if (!switcher) return;
 
-    // Click to open modal
-    taskDiv.querySelector('.team-badge').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showTaskModal(task);
-    });
+    const locales = getAvailableLocales();
+    switcher.replaceChildren(...locales.map(locale => h('option', { value: locale }, getLocaleName(locale))));
+    switcher.value = currentLocale;
+    switcher.hidden = locales.length < 2;
 
-    return taskDiv;
+    switcher.addEventListener('change', () => setLocale(switcher.value));
 }
 
-// Drag and Drop handlers
-function handleDragStart(e) {
-    const taskId = parseInt(e.target.dataset.taskId);
-    draggedTask = tasks.find(t => t.id === taskId);
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-}
+// ============================================
+// CONFIG VALIDATION
+// ============================================
 
-function handleDragEnd(e) {
-    e.target.classList.remove('dragging');
-    draggedTask = null;
+const ASSIGNEE_MODES = ['random', 'specific'];
 
-    // Remove drag-over class from all columns
-    document.querySelectorAll('.column-tasks').forEach(col => {
-        col.classList.remove('drag-over');
-    });
-}
+// Validate config schema and cross-references.
+// Errors make the board unusable, warnings are shown but the board still renders
+function validateConfig(cfg) {
+    const errors = [];
+    const warnings = [];
 
-function handleDragOver(e) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+    if (!isObject(cfg)) {
+        errors.push(t('validation.configObject'));
+        return { errors, warnings };
+    }
+
+    // Top-level fields
+    if (!isNonEmptyString(cfg.title)) {
+        errors.push(t('validation.nonEmptyString', { path: 'title' }));
+    }
+    if (cfg.subtitle !== undefined && typeof cfg.subtitle !== 'string') {
+        errors.push(t('validation.string', { path: 'subtitle' }));
+    }
+    if (cfg.consoleMessage !== undefined && typeof cfg.consoleMessage !== 'string') {
+        warnings.push(t('validation.string', { path: 'consoleMessage' }));
+    }
+
+    // Teams
+    const teamIds = new Set();
+    const teamProjectCounts = {};
+
+    if (!Array.isArray(cfg.teams) || cfg.teams.length === 0) {
+        errors.push(t('validation.teams'));
+    } else {
+        cfg.teams.forEach((team, i) => {
+            const path = `teams[${i}]`;
+            if (!isObject(team)) {
+                errors.push(t('validation.object', { path }));
+                return;
+            }
+
+            if (!isNonEmptyString(team.id)) {
+                errors.push(t('validation.nonEmptyString', { path: `${path}.id` }));
+            } else if (teamIds.has(team.id)) {
+                errors.push(t('validation.duplicateId', { path: `${path}.id`, id: team.id }));
+            } else {
+                teamIds.add(team.id);
+            }
+
+            if (!isNonEmptyString(team.name)) {
+                errors.push(t('validation.nonEmptyString', { path: `${path}.name` }));
+            }
+            if (typeof team.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(team.color)) {
+                errors.push(t('validation.color', { path: `${path}.color` }));
+            }
+            validatePhotoInterval(path, team, errors);
+
+            if (team.projects === undefined || (Array.isArray(team.projects) && team.projects.length === 0)) {
+                warnings.push(t('validation.noProjects', { path: `${path}.projects` }));
+                teamProjectCounts[team.id] = 0;
+                return;
+            }
+            if (!Array.isArray(team.projects)) {
+                errors.push(t('validation.array', { path: `${path}.projects` }));
+                return;
+            }
+
+            teamProjectCounts[team.id] = team.projects.length;
+
+            team.projects.forEach((project, j) => {
+                const projectPath = `${path}.projects[${j}]`;
+                if (!isObject(project)) {
+                    errors.push(t('validation.object', { path: projectPath }));
+                    return;
+                }
+                if (!isNonEmptyString(project.name)) {
+                    errors.push(t('validation.nonEmptyString', { path: `${projectPath}.name` }));
+                }
+                validatePhotoInterval(projectPath, project, errors);
+                if (!Array.isArray(project.photos)) {
+                    errors.push(t('validation.photos', { path: `${projectPath}.photos` }));
+                } else if (project.photos.length === 0) {
+                    warnings.push(t('validation.noPhotos', { path: `${projectPath}.photos` }));
+                } else {
+                    project.photos.forEach((photo, k) => {
+                        if (!isNonEmptyString(photo)) {
+                            errors.push(t('validation.photo', { path: `${projectPath}.photos[${k}]` }));
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    // Columns
+    const columnIds = new Set();
+
+    if (!Array.isArray(cfg.columns) || cfg.columns.length === 0) {
+        errors.push(t('validation.columns'));
+    } else {
+        cfg.columns.forEach((column, i) => {
+            const path = `columns[${i}]`;
+            if (!isObject(column)) {
+                errors.push(t('validation.object', { path }));
+                return;
+            }
+
+            if (!isNonEmptyString(column.id)) {
+                errors.push(t('validation.nonEmptyString', { path: `${path}.id` }));
+            } else if (columnIds.has(column.id)) {
+                errors.push(t('validation.duplicateId', { path: `${path}.id`, id: column.id }));
+            } else {
+                columnIds.add(column.id);
+            }
+
+            if (!isNonEmptyString(column.title)) {
+                errors.push(t('validation.nonEmptyString', { path: `${path}.title` }));
+            }
+            if (column.description !== undefined && typeof column.description !== 'string') {
+                errors.push(t('validation.string', { path: `${path}.description` }));
+            }
+            if (!ASSIGNEE_MODES.includes(column.assigneeMode)) {
+                errors.push(t('validation.oneOf', { path: `${path}.assigneeMode`, values: ASSIGNEE_MODES.join(', ') }));
+            }
+
+            if (column.assignees !== undefined) {
+                if (!Array.isArray(column.assignees)) {
+                    errors.push(t('validation.teamIds', { path: `${path}.assignees` }));
+                } else {
+                    column.assignees.forEach((teamId, j) => {
+                        if (!teamIds.has(teamId)) {
+                            errors.push(t('validation.unknownTeam', { path: `${path}.assignees[${j}]`, id: teamId }));
+                        }
+                    });
+                }
+            }
+            if (column.assigneeMode === 'specific' && (!Array.isArray(column.assignees) || column.assignees.length === 0)) {
+                warnings.push(t('validation.noAssignees', { path: `${path}.assignees` }));
+            }
+
+            if (column.isFinal !== undefined && typeof column.isFinal !== 'boolean') {
+                errors.push(t('validation.boolean', { path: `${path}.isFinal` }));
+            }
+
+            if (column.wipLimit !== undefined && (!Number.isInteger(column.wipLimit) || column.wipLimit < 1)) {
+                errors.push(t('validation.positiveInteger', { path: `${path}.wipLimit` }));
+            }
+
+            if (column.effect !== undefined) {
+                validateEffectSpec(cfg, `${path}.effect`, column.effect, errors, warnings);
+            }
+
+            if (column.sound !== undefined && column.sound !== null && !SOUND_NAMES.includes(column.sound)) {
+                warnings.push(t('validation.unknownSound', { path: `${path}.sound`, sound: column.sound }));
+            }
+        });
+
+        // Transition rules reference other columns, so check them once all ids are known
+        cfg.columns.forEach((column, i) => {
+            if (!isObject(column)) return;
+
+            ['allowedFrom', 'allowedTo'].forEach(key => {
+                if (column[key] === undefined) return;
+
+                if (!Array.isArray(column[key])) {
+                    errors.push(t('validation.columnIds', { path: `columns[${i}].${key}` }));
+                    return;
+                }
+                column[key].forEach((columnId, j) => {
+                    if (!columnIds.has(columnId)) {
+                        errors.push(t('validation.unknownColumn', { path: `columns[${i}].${key}[${j}]`, id: columnId }));
+                    }
+                });
+            });
+        });
+
+        if (!columnIds.has('backlog')) {
+            warnings.push(t('validation.noBacklog'));
+        }
+    }
+
+    // Greetings
+    if (!isObject(cfg.greetings)) {
+        errors.push(t('validation.greetings', { path: 'greetings' }));
+    } else {
+        const checkGreetingList = (list, path) => {
+            if (!Array.isArray(list)) {
+                errors.push(t('validation.stringList', { path }));
+                return;
+            }
+            if (list.length === 0) {
+                warnings.push(t('validation.emptyGreetings', { path }));
+            }
+            list.forEach((greeting, i) => {
+                if (!isNonEmptyString(greeting)) {
+                    errors.push(t('validation.nonEmptyString', { path: `${path}[${i}]` }));
+                }
+            });
+        };
+
+        Object.keys(cfg.greetings).forEach(columnId => {
+            const path = `greetings.${columnId}`;
+            const pool = cfg.greetings[columnId];
+
+            if (!columnIds.has(columnId)) {
+                warnings.push(t('validation.greetingsColumn', { path, id: columnId }));
+            }
+
+            if (isObject(pool)) {
+                Object.keys(pool).forEach(teamId => {
+                    if (!teamIds.has(teamId)) {
+                        warnings.push(t('validation.unknownTeam', { path: `${path}.${teamId}`, id: teamId }));
+                    }
+                    checkGreetingList(pool[teamId], `${path}.${teamId}`);
+                });
+            } else {
+                checkGreetingList(pool, path);
+            }
+        });
+
+        // Every team that can land in a column needs greetings there
+        (Array.isArray(cfg.columns) ? cfg.columns : []).forEach(column => {
+            if (!isObject(column) || !columnIds.has(column.id)) return;
+
+            const pool = cfg.greetings[column.id];
+            if (pool === undefined) {
+                warnings.push(t('validation.noColumnGreetings', { path: `greetings.${column.id}` }));
+                return;
+            }
+            if (!isObject(pool)) return;
+
+            const possibleTeams = column.assigneeMode === 'specific' && Array.isArray(column.assignees) && column.assignees.length > 0
+                ? column.assignees
+                : Array.from(teamIds);
+
+            possibleTeams.forEach(teamId => {
+                if (teamIds.has(teamId) && pool[teamId] === undefined) {
+                    warnings.push(t('validation.noTeamGreetings', { path: `greetings.${column.id}.${teamId}` }));
+                }
+            });
+        });
+    }
+
+    // Custom effects
+    if (cfg.effects !== undefined) {
+        if (!isObject(cfg.effects)) {
+            errors.push(t('validation.effects'));
+        } else {
+            Object.entries(cfg.effects).forEach(([name, effect]) => {
+                validateCustomEffect(`effects.${name}`, name, effect, errors);
+            });
+        }
+    }
+
+    // Presentation mode
+    if (cfg.presentation !== undefined) {
+        validatePresentation(cfg, columnIds, errors);
+    }
+
+    // Translations
+    if (cfg.language !== undefined && !isNonEmptyString(cfg.language)) {
+        errors.push(t('validation.language'));
+    }
+    if (cfg.locales !== undefined) {
+        if (!isObject(cfg.locales)) {
+            errors.push(t('validation.locales'));
+        } else {
+            Object.entries(cfg.locales).forEach(([locale, translation]) => {
+                validateConfigLocale(cfg, `locales.${locale}`, translation, errors, warnings);
+            });
+        }
+    }
+
+    // Initial tasks
+    if (!Array.isArray(cfg.initialTasks)) {
+        errors.push(t('validation.initialTasks'));
+    } else {
+        // Initial board may start over a WIP limit, which blocks every drop into that column
+        (Array.isArray(cfg.columns) ? cfg.columns : []).forEach((column, i) => {
+            if (!isObject(column) || !Number.isInteger(column.wipLimit)) return;
+
+            const count = cfg.initialTasks.filter(task => isObject(task) && task.columnId === column.id).length;
+            if (count > column.wipLimit) {
+                warnings.push(t('validation.initialOverWip', { path: `columns[${i}].wipLimit`, count, limit: column.wipLimit }));
+            }
+        });
+
+        const taskIds = new Set();
+
+        cfg.initialTasks.forEach((task, i) => {
+            const path = `initialTasks[${i}]`;
+            if (!isObject(task)) {
+                errors.push(t('validation.object', { path }));
+                return;
+            }
+
+            if (!Number.isInteger(task.id) || task.id < 1) {
+                errors.push(t('validation.positiveInteger', { path: `${path}.id` }));
+            } else if (taskIds.has(task.id)) {
+                errors.push(t('validation.duplicateTaskId', { path: `${path}.id`, id: task.id }));
+            } else {
+                taskIds.add(task.id);
+            }
+
+            if (!columnIds.has(task.columnId)) {
+                errors.push(t('validation.unknownColumn', { path: `${path}.columnId`, id: task.columnId }));
+            }
+            if (!teamIds.has(task.teamId)) {
+                errors.push(t('validation.unknownTeam', { path: `${path}.teamId`, id: task.teamId }));
+            } else if (task.projectIndex !== undefined) {
+                const projectsCount = teamProjectCounts[task.teamId] || 0;
+                if (!Number.isInteger(task.projectIndex) || task.projectIndex < 0 || task.projectIndex >= projectsCount) {
+                    const params = { path: `${path}.projectIndex`, team: task.teamId, index: task.projectIndex };
+                    errors.push(projectsCount > 0
+                        ? t('validation.projectIndexRange', { ...params, max: projectsCount - 1 })
+                        : t('validation.projectIndex', params));
+                }
+            }
+        });
+    }
+
+    return { errors, warnings };
+}
+
+// Validate photoInterval of a team or project
+function validatePhotoInterval(path, item, errors) {
+    const interval = item.photoInterval;
+    if (interval !== undefined && !(Number.isInteger(interval) && interval >= 300 && interval <= 60000)) {
+        errors.push(t('validation.photoInterval', { path: `${path}.photoInterval` }));
+    }
+}
+
+// Validate presentation settings: column order, timings and loop flag
+function validatePresentation(cfg, columnIds, errors) {
+    const presentation = cfg.presentation;
+    if (presentation === null || typeof presentation !== 'object' || Array.isArray(presentation)) {
+        errors.push(t('validation.object', { path: 'presentation' }));
+        return;
+    }
+
+    const order = presentation.order;
+    if (order !== undefined) {
+        if (!Array.isArray(order) || order.length < 2) {
+            errors.push(t('validation.presentationOrder', { path: 'presentation.order' }));
+        } else {
+            const columns = Array.isArray(cfg.columns) ? cfg.columns : [];
+            order.forEach((id, i) => {
+                const column = columns.find(c => c && c.id === id);
+                if (!columnIds.has(id)) {
+                    errors.push(t('validation.unknownColumn', { path: `presentation.order[${i}]`, id }));
+                } else if (order.indexOf(id) !== i) {
+                    errors.push(t('validation.duplicateColumn', { path: `presentation.order[${i}]`, id }));
+                } else if (column && column.isFinal && i < order.length - 1) {
+                    errors.push(t('validation.finalNotLast', { path: `presentation.order[${i}]`, id }));
+                }
+            });
+        }
+    }
+
+    const ranges = { stepInterval: [500, 600000], modalDuration: [0, 600000], resumeAfter: [0, 3600000] };
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+        const value = presentation[key];
+        if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+            errors.push(t('validation.msRange', { path: `presentation.${key}`, min, max }));
+        }
+    });
+
+    if (presentation.loop !== undefined && typeof presentation.loop !== 'boolean') {
+        errors.push(t('validation.boolean', { path: 'presentation.loop' }));
+    }
+}
+
+// Validate column effect: name, "random", weighted list, random pool, sequence or combo
+function validateEffectSpec(cfg, path, effect, errors, warnings) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const customEffects = isObject(cfg.effects) ? cfg.effects : {};
+    const isKnownEffect = name => BUILT_IN_EFFECT_NAMES.includes(name) || isObject(customEffects[name]);
+
+    if (typeof effect === 'string') {
+        if (effect !== 'random' && !isKnownEffect(effect)) {
+            warnings.push(t('validation.unknownEffectHidden', { path, name: effect }));
+        }
+        return;
+    }
+    if (!isObject(effect)) {
+        errors.push(t('validation.effectSpec', { path }));
+        return;
+    }
+
+    // Sequence and combo: list of nested effects
+    const listKey = ['sequence', 'combo'].find(key => effect[key] !== undefined);
+    if (listKey) {
+        if (!Array.isArray(effect[listKey]) || effect[listKey].length === 0) {
+            errors.push(t('validation.effectList', { path: `${path}.${listKey}` }));
+        } else {
+            effect[listKey].forEach((item, i) => validateEffectSpec(cfg, `${path}.${listKey}[${i}]`, item, errors, warnings));
+        }
+        if (effect.interval !== undefined &&
+            (listKey !== 'sequence' || !Number.isInteger(effect.interval) || effect.interval < 0 || effect.interval > 10000)) {
+            errors.push(t('validation.sequenceInterval', { path: `${path}.interval` }));
+        }
+        return;
+    }
+
+    // Random pool limited by categories and exclude list
+    if (effect.categories !== undefined || effect.exclude !== undefined) {
+        const categories = effect.categories === undefined ? EFFECT_CATEGORIES : effect.categories;
+        const exclude = effect.exclude === undefined ? [] : effect.exclude;
+
+        if (!Array.isArray(categories) || categories.length === 0 || !categories.every(c => EFFECT_CATEGORIES.includes(c))) {
+            errors.push(t('validation.categories', { path: `${path}.categories`, values: EFFECT_CATEGORIES.join(', ') }));
+            return;
+        }
+        if (!Array.isArray(exclude)) {
+            errors.push(t('validation.effectNames', { path: `${path}.exclude` }));
+            return;
+        }
+        exclude.forEach((name, i) => {
+            if (!isKnownEffect(name)) {
+                warnings.push(t('validation.unknownEffect', { path: `${path}.exclude[${i}]`, name }));
+            }
+        });
+
+        const pool = BUILT_IN_EFFECT_NAMES.concat(Object.keys(customEffects))
+            .filter(name => categories.includes(getEffectCategory(name, customEffects)) && !exclude.includes(name));
+        if (pool.length === 0) {
+            warnings.push(t('validation.emptyPool', { path }));
+        }
+        return;
+    }
+
+    // Weighted list: { "fireworks": 3, "stars": 1 }
+    const entries = Object.entries(effect);
+    if (entries.length === 0 || !entries.every(([, weight]) => typeof weight === 'number' && weight >= 0)) {
+        errors.push(t('validation.weights', { path }));
+        return;
+    }
+    if (!entries.some(([, weight]) => weight > 0)) {
+        errors.push(t('validation.zeroWeights', { path }));
+    }
+    entries.forEach(([name]) => {
+        if (name !== 'random' && !isKnownEffect(name)) {
+            warnings.push(t('validation.unknownEffect', { path: `${path}.${name}`, name }));
+        }
+    });
+}
+
+// Validate one config.effects entry
+function validateCustomEffect(path, name, effect, errors) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+    const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (EFFECT_RESERVED_NAMES.includes(name) || BUILT_IN_EFFECT_NAMES.includes(name)) {
+        errors.push(t('validation.reservedName', { path, name }));
+    }
+    if (!isObject(effect)) {
+        errors.push(t('validation.customEffect', { path }));
+        return;
+    }
+
+    const { particles, colors } = effect;
+    if (particles !== undefined && (!Array.isArray(particles) || !particles.every(isNonEmptyString))) {
+        errors.push(t('validation.particles', { path: `${path}.particles` }));
+    }
+    if (colors !== undefined && (!Array.isArray(colors) || !colors.every(color => /^#[0-9a-f]{6}$/i.test(color)))) {
+        errors.push(t('validation.colors', { path: `${path}.colors` }));
+    }
+    if (!(Array.isArray(particles) && particles.length > 0) && !(Array.isArray(colors) && colors.length > 0)) {
+        errors.push(t('validation.noParticles', { path }));
+    }
+
+    if (effect.count !== undefined && !isIntegerInRange(effect.count, 1, 200)) {
+        errors.push(t('validation.count', { path: `${path}.count` }));
+    }
+    if (effect.duration !== undefined && !isIntegerInRange(effect.duration, 100, 10000)) {
+        errors.push(t('validation.duration', { path: `${path}.duration` }));
+    }
+    if (effect.size !== undefined && !(typeof effect.size === 'number' && effect.size > 0 && effect.size <= 10)) {
+        errors.push(t('validation.size', { path: `${path}.size` }));
+    }
+    if (effect.motion !== undefined && !Object.keys(CUSTOM_EFFECT_MOTIONS).includes(effect.motion)) {
+        errors.push(t('validation.oneOf', { path: `${path}.motion`, values: Object.keys(CUSTOM_EFFECT_MOTIONS).join(', ') }));
+    }
+    if (effect.area !== undefined && !CUSTOM_EFFECT_AREAS.includes(effect.area)) {
+        errors.push(t('validation.oneOf', { path: `${path}.area`, values: CUSTOM_EFFECT_AREAS.join(', ') }));
+    }
+    if (effect.columnAnimation !== undefined && !BUILT_IN_EFFECT_NAMES.includes(effect.columnAnimation)) {
+        errors.push(t('validation.unknownBuiltInEffect', { path: `${path}.columnAnimation`, name: effect.columnAnimation }));
+    }
+    if (effect.sound !== undefined && effect.sound !== null && !SOUND_NAMES.includes(effect.sound)) {
+        errors.push(t('validation.sound', { path: `${path}.sound`, values: SOUND_NAMES.join(', ') }));
+    }
+}
+
+// Validate one entry of config.locales. Translations follow the shape of the config:
+// columns and teams by id, greetings by column/team with the same indices
+function validateConfigLocale(cfg, path, translation, errors, warnings) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const columns = Array.isArray(cfg.columns) ? cfg.columns.filter(isObject) : [];
+    const teams = Array.isArray(cfg.teams) ? cfg.teams.filter(isObject) : [];
+    const greetings = isObject(cfg.greetings) ? cfg.greetings : {};
+
+    if (!isObject(translation)) {
+        errors.push(t('validation.translation', { path }));
+        return;
+    }
+
+    ['title', 'subtitle'].forEach(key => {
+        if (translation[key] !== undefined && typeof translation[key] !== 'string') {
+            errors.push(t('validation.string', { path: `${path}.${key}` }));
+        }
+    });
+
+    // Check that a translated list fits the original one
+    const checkList = (list, original, listPath) => {
+        if (!Array.isArray(list)) {
+            errors.push(t('validation.stringList', { path: listPath }));
+            return;
+        }
+        list.forEach((item, i) => {
+            if (item !== null && typeof item !== 'string') {
+                errors.push(t('validation.stringOrNull', { path: `${listPath}[${i}]` }));
+            }
+        });
+        if (Array.isArray(original) && list.length > original.length) {
+            warnings.push(t('validation.translationTooLong', { path: listPath, count: list.length, total: original.length }));
+        }
+    };
+
+    if (translation.columns !== undefined) {
+        if (!isObject(translation.columns)) {
+            errors.push(t('validation.columnTranslations', { path: `${path}.columns` }));
+        } else {
+            Object.entries(translation.columns).forEach(([columnId, columnTranslation]) => {
+                const columnPath = `${path}.columns.${columnId}`;
+                if (!columns.some(column => column.id === columnId)) {
+                    warnings.push(t('validation.unknownColumn', { path: columnPath, id: columnId }));
+                }
+                if (!isObject(columnTranslation)) {
+                    errors.push(t('validation.object', { path: columnPath }));
+                    return;
+                }
+                ['title', 'description'].forEach(key => {
+                    if (columnTranslation[key] !== undefined && typeof columnTranslation[key] !== 'string') {
+                        errors.push(t('validation.string', { path: `${columnPath}.${key}` }));
+                    }
+                });
+            });
+        }
+    }
+
+    if (translation.teams !== undefined) {
+        if (!isObject(translation.teams)) {
+            errors.push(t('validation.teamTranslations', { path: `${path}.teams` }));
+        } else {
+            Object.entries(translation.teams).forEach(([teamId, teamTranslation]) => {
+                const teamPath = `${path}.teams.${teamId}`;
+                const team = teams.find(item => item.id === teamId);
+                if (!team) {
+                    warnings.push(t('validation.unknownTeam', { path: teamPath, id: teamId }));
+                }
+                if (!isObject(teamTranslation)) {
+                    errors.push(t('validation.object', { path: teamPath }));
+                    return;
+                }
+                if (teamTranslation.name !== undefined && typeof teamTranslation.name !== 'string') {
+                    errors.push(t('validation.string', { path: `${teamPath}.name` }));
+                }
+                if (teamTranslation.projects !== undefined) {
+                    checkList(teamTranslation.projects, team && team.projects, `${teamPath}.projects`);
+                }
+            });
+        }
+    }
+
+    if (translation.greetings !== undefined) {
+        if (!isObject(translation.greetings)) {
+            errors.push(t('validation.greetings', { path: `${path}.greetings` }));
+        } else {
+            Object.entries(translation.greetings).forEach(([columnId, pool]) => {
+                const poolPath = `${path}.greetings.${columnId}`;
+                const original = greetings[columnId];
+
+                if (original === undefined) {
+                    warnings.push(t('validation.translationColumn', { path: poolPath, id: columnId }));
+                } else if (Array.isArray(original) !== Array.isArray(pool)) {
+                    errors.push(t(Array.isArray(original) ? 'validation.translationList' : 'validation.translationTeams', {
+                        path: poolPath,
+                        original: `greetings.${columnId}`
+                    }));
+                    return;
+                }
+
+                if (Array.isArray(pool)) {
+                    checkList(pool, original, poolPath);
+                } else if (isObject(pool)) {
+                    Object.entries(pool).forEach(([teamId, list]) => {
+                        if (original && !original[teamId]) {
+                            warnings.push(t('validation.translationTeam', {
+                                path: `${poolPath}.${teamId}`,
+                                original: `greetings.${columnId}`,
+                                id: teamId
+                            }));
+                        }
+                        checkList(list, original && original[teamId], `${poolPath}.${teamId}`);
+                    });
+                } else {
+                    errors.push(t('validation.pool', { path: poolPath }));
+                }
+            });
+        }
+    }
+}
+
+// Build report list element
+function createConfigReportList(items, className) {
+    const list = document.createElement('ul');
+    list.className = `config-report-list ${className}`;
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+    });
+
+    return list;
+}
+
+// Show config errors page in place of the board
+function showConfigReport(configUrl, report) {
+    const view = showPageView(t('report.title'), t('report.subtitle', { url: configUrl }));
+
+    const container = document.createElement('div');
+    container.className = 'config-report';
+
+    const errorsTitle = document.createElement('h2');
+    errorsTitle.textContent = t('report.errors', { count: report.errors.length });
+    container.appendChild(errorsTitle);
+    container.appendChild(createConfigReportList(report.errors, 'config-report-errors'));
+
+    if (report.warnings.length > 0) {
+        const warningsTitle = document.createElement('h2');
+        warningsTitle.textContent = t('report.warnings', { count: report.warnings.length });
+        container.appendChild(warningsTitle);
+        container.appendChild(createConfigReportList(report.warnings, 'config-report-warnings'));
+    }
+
+    view.appendChild(container);
+}
+
+// Show collapsible config warnings above the board
+function showConfigWarnings(configUrl, warnings) {
+    const details = document.createElement('details');
+    details.className = 'config-report config-report-inline';
+
+    const summary = document.createElement('summary');
+    summary.textContent = t('report.inlineSummary', { url: configUrl, count: warnings.length });
+    details.appendChild(summary);
+    details.appendChild(createConfigReportList(warnings, 'config-report-warnings'));
+
+    const board = document.getElementById('kanban-board');
+    board.parentNode.insertBefore(details, board);
+}
+
+// ============================================
+// ROUTING
+// ============================================
+
+// Get board slug from URL: /<slug> on Netlify, ?board=<slug> on plain static servers
+function getBoardSlug() {
+    const params = new URLSearchParams(location.search);
+    if (params.has('board')) {
+        return params.get('board');
+    }
+
+    let path = location.pathname;
+    if (path.startsWith(APP_BASE_PATH)) {
+        path = path.slice(APP_BASE_PATH.length);
+    }
+    path = path.replace(/^index\.html$/, '').replace(/\/+$/, '');
+
+    return path ? decodeURIComponent(path) : null;
+}
+
+// Get URL of a board page
+function getBoardUrl(slug) {
+    return APP_BASE_PATH + encodeURIComponent(slug);
+}
+
+// Resolve which view to show: board index, a board or "not found"
+async function resolveRoute() {
+    const slug = getBoardSlug();
+    let manifest;
+
+    try {
+        manifest = await fetchJson(BOARDS_MANIFEST_URL);
+    } catch (error) {
+        // No manifest - single-board deployment with config.json
+        if (error.status === 404) {
+            return slug
+                ? { view: 'not-found', slug }
+                : { view: 'board', board: null, slug: null, configUrl: DEFAULT_CONFIG_URL };
+        }
+        throw error;
+    }
+
+    const boards = Array.isArray(manifest.boards) ? manifest.boards : [];
+
+    if (!slug) {
+        // Task link without a board (/task/12 -> /?task=12) opens the default board
+        const defaultBoard = getLinkedTaskId() !== null ? getDefaultBoard(manifest, boards) : null;
+        return defaultBoard ? getBoardRoute(defaultBoard) : { view: 'index', boards };
+    }
+
+    const board = boards.find(b => b.slug === slug);
+    if (!board) {
+        return { view: 'not-found', slug };
+    }
+
+    return getBoardRoute(board);
+}
+
+// Route of a manifest board
+function getBoardRoute(board) {
+    return {
+        view: 'board',
+        board,
+        slug: board.slug,
+        configUrl: board.config || `configs/${board.slug}.json`
+    };
+}
+
+// Board named by "default" in the manifest, otherwise the first one
+function getDefaultBoard(manifest, boards) {
+    return boards.find(b => b.slug === manifest.default) || boards[0] || null;
+}
+
+// Switch page from board to a standalone view (index, not found)
+function showPageView(title, subtitle) {
+    document.getElementById('main-title').textContent = title;
+    document.getElementById('subtitle').textContent = subtitle;
+    document.querySelector('.header-actions').hidden = true;
+    document.getElementById('kanban-board').hidden = true;
+
+    const view = document.getElementById('page-view');
+    view.replaceChildren();
+    view.hidden = false;
+    return view;
+}
+
+// Show list of available boards
+function showBoardIndex(boards) {
+    const view = showPageView(t('index.title'), t('index.subtitle'));
+
+    if (boards.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'page-message';
+        empty.textContent = t('index.empty');
+        view.appendChild(empty);
+        return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'board-list';
+
+    boards.forEach(board => {
+        const link = document.createElement('a');
+        link.className = 'board-card';
+        link.href = getBoardUrl(board.slug);
+
+        const title = document.createElement('span');
+        title.className = 'board-card-title';
+        title.textContent = board.title || board.slug;
+        link.appendChild(title);
+
+        if (board.description) {
+            const description = document.createElement('span');
+            description.className = 'board-card-description';
+            description.textContent = board.description;
+            link.appendChild(description);
+        }
+
+        list.appendChild(link);
+    });
+
+    view.appendChild(list);
+}
+
+// Show "board not found" page
+function showBoardNotFound(slug) {
+    document.title = t('notFound.title');
+    const view = showPageView(t('notFound.title'), t('notFound.subtitle', { slug }));
+
+    const message = document.createElement('div');
+    message.className = 'page-message';
+
+    const text = document.createElement('p');
+    text.textContent = t('notFound.text');
+    message.appendChild(text);
+
+    const link = document.createElement('a');
+    link.className = 'hint-close';
+    link.href = APP_BASE_PATH;
+    link.textContent = t('notFound.allBoards');
+    message.appendChild(link);
+
+    view.appendChild(message);
+}
+
+// Initialize application
+function initializeApp() {
+    if (!config) return;
+
+    // Set header
+    document.getElementById('main-title').textContent = config.title;
+    document.getElementById('subtitle').textContent = config.subtitle;
+
+    // Restore greeting decks and discovery progress
+    restoreGreetingProgress();
+
+    // Saved board or config seed. A shared snapshot from the URL replaces it as an undoable change
+    if (!restoreBoardState()) {
+        initializeTasks();
+        saveBoardState();
+    }
+
+    const snapshotResult = hydrateFromSharedSnapshot();
+    if (snapshotResult === 'invalid') {
+        showNotice(t('share.invalid'), 'warning');
+    } else if (snapshotResult === 'loaded') {
+        showUndoNotice(t('share.loaded'));
+    }
+
+    // Create Kanban board
+    createKanbanBoard();
+
+    // Setup modal
+    setupModal();
+
+    // Setup reset button
+    setupResetButton();
+
+    // Setup share button
+    setupShareButton();
+
+    // Setup undo/redo
+    setupHistoryControls();
+
+    // Setup activity timeline
+    restoreTimeline();
+    setupTimelinePanel();
+
+    // Setup language switcher
+    setupLocaleSwitcher();
+
+    // Setup effects, haptics and sound settings
+    setupSettingsMenu();
+
+    // Setup presentation mode
+    setupPresentation();
+}
+
+// Initialize tasks from config
+function initializeTasks() {
+    config.initialTasks.forEach(taskConfig => {
+        const team = getTeamById(taskConfig.teamId);
+        const column = getColumnById(taskConfig.columnId);
+
+        // Use projectIndex from config, or select random if not specified
+        let projectIndex;
+        if (taskConfig.projectIndex !== undefined) {
+            projectIndex = taskConfig.projectIndex;
+        } else {
+            const randomProject = getRandomProject(team);
+            projectIndex = randomProject ? team.projects.indexOf(randomProject) : 0;
+        }
+
+        tasks.push({
+            id: taskConfig.id,
+            columnId: taskConfig.columnId,
+            teamId: taskConfig.teamId,
+            projectIndex: projectIndex,
+            description: getGreetingForTask(taskConfig.columnId, taskConfig.teamId)
+        });
+
+        if (taskConfig.id >= nextTaskId) {
+            nextTaskId = taskConfig.id + 1;
+        }
+    });
+}
+
+// ============================================
+// BOARD PERSISTENCE
+// ============================================
+
+// Simple string hash (djb2) used to fingerprint the config
+function hashString(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Storage key of the current board
+function getBoardStorageKey(baseKey = BOARD_STORAGE_KEY) {
+    return currentBoard ? `${baseKey}:${currentBoard.slug}` : baseKey;
+}
+
+// Fingerprint of the config structure: column and team ids, project counts and greeting list sizes.
+// Greeting decks and the timeline of another structure are discarded; text, translations
+// and effects may change without losing saved progress
+function getConfigFingerprint() {
+    const greetings = baseConfig.greetings || {};
+    const getListSize = list => (Array.isArray(list) ? list.length : 0);
+
+    return hashString(JSON.stringify({
+        columns: baseConfig.columns.map(column => column.id),
+        teams: baseConfig.teams.map(team => [team.id, team.projects ? team.projects.length : 0]),
+        greetings: Object.keys(greetings).map(columnId => {
+            const pool = greetings[columnId];
+            if (Array.isArray(pool) || !pool || typeof pool !== 'object') {
+                return [columnId, getListSize(pool)];
+            }
+            return [columnId, Object.keys(pool).map(teamId => [teamId, getListSize(pool[teamId])])];
+        })
+    }));
+}
+
+// Save board to localStorage
+function saveBoardState() {
+    if (!boardPersistence) return;
+
+    const state = {
+        version: BOARD_SCHEMA_VERSION,
+        locale: currentLocale,
+        nextTaskId: nextTaskId,
+        tasks: tasks.map(task => ({
+            id: task.id,
+            columnId: task.columnId,
+            teamId: task.teamId,
+            projectIndex: task.projectIndex,
+            description: task.description
+        }))
+    };
+
+    try {
+        localStorage.setItem(getBoardStorageKey(), JSON.stringify(state));
+    } catch (error) {
+        // Storage may be full or disabled (private mode) - board still works in memory
+        console.warn(t('board.saveFailed'), error);
+    }
+}
+
+// Check that a saved task still matches the current config
+function isValidSavedTask(task) {
+    if (!task || !Number.isInteger(task.id) || typeof task.description !== 'string') return false;
+    if (!getColumnById(task.columnId)) return false;
+
+    const team = getTeamById(task.teamId);
+    if (!team) return false;
+
+    const projectsCount = team.projects ? team.projects.length : 0;
+    return Number.isInteger(task.projectIndex) &&
+        task.projectIndex >= 0 &&
+        (task.projectIndex < projectsCount || (projectsCount === 0 && task.projectIndex === 0));
+}
+
+// Restore board from localStorage. Returns true if the saved board was applied.
+// Tasks of removed columns, teams or projects are dropped, the rest of the board is kept
+function restoreBoardState() {
+    let state;
+    try {
+        state = JSON.parse(localStorage.getItem(getBoardStorageKey()));
+    } catch (error) {
+        state = null;
+    }
+
+    const savedTasks = state && state.version === BOARD_SCHEMA_VERSION && Array.isArray(state.tasks)
+        ? state.tasks.filter(isValidSavedTask)
+        : [];
+    if (savedTasks.length === 0) {
+        clearBoardState();
+        return false;
+    }
+
+    tasks = savedTasks.map(task => ({ ...task }));
+
+    // Board saved in another language
+    if (state.locale && state.locale !== currentLocale) {
+        const savedConfig = localizeConfig(baseConfig, state.locale);
+        tasks.forEach(task => {
+            task.description = translateGreeting(task, savedConfig, config);
+        });
+    }
+
+    // Never hand out an id that is already taken
+    const maxId = tasks.reduce((max, task) => Math.max(max, task.id), 0);
+    nextTaskId = Math.max(Number.isInteger(state.nextTaskId) ? state.nextTaskId : 1, maxId + 1);
+
+    return true;
+}
+
+// Remove saved board
+function clearBoardState() {
+    try {
+        localStorage.removeItem(getBoardStorageKey());
+    } catch (error) {
+        // Ignore - nothing to clear
+    }
+}
+
+// Reset board to the config seed
+function resetBoard() {
+    pushHistory(t('board.resetHistory'));
+    recordTimelineEvent('reset');
+
+    clearBoardState();
+    tasks = [];
+    nextTaskId = 1;
+    initializeTasks();
+    saveBoardState();
+    renderTasks();
+}
+
+// Setup reset button
+function setupResetButton() {
+    const resetBtn = document.getElementById('reset-board');
+    if (!resetBtn) return;
+
+    resetBtn.addEventListener('click', () => {
+        if (confirm(t('board.resetConfirm'))) {
+            resetBoard();
+            showUndoNotice(t('board.reset'));
+        }
+    });
+}
+
+// ============================================
+// SHARED SNAPSHOTS
+// ============================================
+
+// Encode string as URL-safe base64 (UTF-8)
+function encodeBase64Url(str) {
+    const bytes = new TextEncoder().encode(str);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode URL-safe base64 (UTF-8)
+function decodeBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Serialize board to compact snapshot string.
+// Each task is [id, columnId, teamId, projectIndex, greetingIndex], greetingIndex is -1
+// when the description is not part of the column/team greetings pool
+function encodeBoardSnapshot() {
+    const snapshot = {
+        v: SNAPSHOT_VERSION,
+        n: nextTaskId,
+        t: tasks.map(task => {
+            const pool = getGreetingPool(task.columnId, task.teamId) || [];
+            return [task.id, task.columnId, task.teamId, task.projectIndex, pool.indexOf(task.description)];
+        })
+    };
+    return encodeBase64Url(JSON.stringify(snapshot));
+}
+
+// Parse snapshot string into tasks. Returns null if the snapshot does not match the config
+function decodeBoardSnapshot(encoded) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(decodeBase64Url(encoded));
+    } catch (error) {
+        return null;
+    }
+
+    if (!snapshot || snapshot.v !== SNAPSHOT_VERSION || !Array.isArray(snapshot.t)) {
+        return null;
+    }
+
+    const decodedTasks = [];
+    const seenIds = new Set();
+
+    for (const entry of snapshot.t) {
+        if (!Array.isArray(entry) || entry.length !== 5) return null;
+
+        const [id, columnId, teamId, projectIndex, greetingIndex] = entry;
+        const pool = getGreetingPool(columnId, teamId);
+        let description;
+
+        if (greetingIndex === -1) {
+            description = getGreetingForTask(columnId, teamId);
+        } else if (pool && Number.isInteger(greetingIndex) && greetingIndex >= 0 && greetingIndex < pool.length) {
+            description = pool[greetingIndex];
+        } else {
+            return null;
+        }
+
+        const task = { id, columnId, teamId, projectIndex, description };
+        if (!isValidSavedTask(task) || seenIds.has(id)) return null;
+
+        seenIds.add(id);
+        decodedTasks.push(task);
+    }
+
+    const maxId = decodedTasks.reduce((max, task) => Math.max(max, task.id), 0);
+    return {
+        tasks: decodedTasks,
+        nextTaskId: Math.max(Number.isInteger(snapshot.n) ? snapshot.n : 1, maxId + 1)
+    };
+}
+
+// Build shareable link for the current board: board route and snapshot only,
+// so ?debug, ?edit, ?present or ?task are not passed on
+function getShareUrl() {
+    const slug = new URLSearchParams(location.search).get('board');
+    const search = slug ? `?board=${encodeURIComponent(slug)}` : '';
+    return location.origin + location.pathname + search + SNAPSHOT_HASH_PREFIX + encodeBoardSnapshot();
+}
+
+// Hydrate board from URL snapshot. The board it replaces stays in undo history,
+// an invalid snapshot leaves the board as it is.
+// Returns 'none' when there is no snapshot, 'loaded' or 'invalid'
+function hydrateFromSharedSnapshot() {
+    if (!location.hash.startsWith(SNAPSHOT_HASH_PREFIX)) return 'none';
+
+    const decoded = decodeBoardSnapshot(location.hash.slice(SNAPSHOT_HASH_PREFIX.length));
+
+    // Drop snapshot from URL so reload keeps further moves
+    history.replaceState(null, '', location.pathname + location.search);
+
+    if (!decoded) return 'invalid';
+
+    pushHistory(t('share.history'));
+    tasks = decoded.tasks;
+    nextTaskId = decoded.nextTaskId;
+    saveBoardState();
+    return 'loaded';
+}
+
+// Copy text to clipboard, falls back to prompt for manual copy
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        prompt(t('share.prompt'), text);
+        return false;
+    }
+}
+
+// Setup share button
+function setupShareButton() {
+    const shareBtn = document.getElementById('share-board');
+    if (!shareBtn) return;
+
+    shareBtn.addEventListener('click', async () => {
+        if (await copyToClipboard(getShareUrl())) {
+            showNotice(t('share.copied'), 'success');
+        }
+    });
+}
+
+// ============================================
+// NOTICES
+// ============================================
+
+// Show transient notice at the bottom of the screen.
+// options: duration (ms), action ({ label, onClick }) - button in the notice,
+// key - a new notice with the same key replaces the old one
+function showNotice(message, type = 'info', options = {}) {
+    const container = document.getElementById('notice-container');
+    if (!container) return;
+
+    const { duration = 5000, action = null, key = null } = options;
+
+    if (key) {
+        container.querySelectorAll(`.notice[data-key="${key}"]`).forEach(old => old.remove());
+    }
+
+    const dismiss = () => {
+        notice.classList.add('notice-hide');
+        setTimeout(() => notice.remove(), 300);
+    };
+
+    const notice = h('div', { className: `notice notice-${type}`, dataset: key ? { key } : {} },
+        h('span', null, message),
+        action
+            ? h('button', {
+                type: 'button',
+                className: 'notice-action',
+                onclick: () => {
+                    dismiss();
+                    action.onClick();
+                }
+            }, action.label)
+            : null
+    );
+    container.appendChild(notice);
+
+    setTimeout(dismiss, duration);
+}
+
+// Get team by ID
+function getTeamById(teamId) {
+    return config.teams.find(t => t.id === teamId);
+}
+
+// Get column by ID
+function getColumnById(columnId) {
+    return config.columns.find(c => c.id === columnId);
+}
+
+// Get random team
+function getRandomTeam() {
+    return config.teams[Math.floor(Math.random() * config.teams.length)];
+}
+
+// Get random project from team
+function getRandomProject(team) {
+    if (!team.projects || team.projects.length === 0) return null;
+    return team.projects[Math.floor(Math.random() * team.projects.length)];
+}
+
+// Get project by index from team
+function getProjectByIndex(team, projectIndex) {
+    if (!team.projects || projectIndex >= team.projects.length) return null;
+    return team.projects[projectIndex];
+}
+
+// Get greetings pool for column and team (null if there is none)
+function getGreetingPool(columnId, teamId, cfg = config) {
+    const greetings = cfg.greetings[columnId];
+
+    if (!greetings) {
+        return null;
+    }
+
+    // If greetings is an array (for columns like backlog, bugs)
+    if (Array.isArray(greetings)) {
+        return greetings;
+    }
+
+    // If greetings is an object with team-specific greetings
+    if (typeof greetings === 'object') {
+        const teamGreetings = greetings[teamId];
+        if (teamGreetings && Array.isArray(teamGreetings)) {
+            return teamGreetings;
+        }
+    }
+
+    return null;
+}
+
+// Get greeting for task - next card from the column/team deck
+function getGreetingForTask(columnId, teamId) {
+    const pool = getGreetingPool(columnId, teamId);
+
+    if (!pool || pool.length === 0) {
+        return t('greeting.loading');
+    }
+
+    return pool[drawGreetingIndex(getGreetingDeckKey(columnId, teamId), pool.length)];
+}
+
+// ============================================
+// GREETING DECKS
+// ============================================
+
+// Deck key: column for common lists, column/team for per-team lists
+function getGreetingDeckKey(columnId, teamId) {
+    return Array.isArray(config.greetings[columnId]) ? columnId : `${columnId}/${teamId}`;
+}
+
+// Shuffled indices 0..size-1 (Fisher-Yates)
+function createShuffledDeck(size) {
+    const cards = Array.from({ length: size }, (_, i) => i);
+    for (let i = cards.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    return cards;
+}
+
+// Draw next greeting index from deck, reshuffling when it is used up
+function drawGreetingIndex(key, poolSize) {
+    let deck = greetingDecks[key];
+
+    if (!deck || deck.cards.length === 0) {
+        const cards = createShuffledDeck(poolSize);
+
+        // Last card of the old deck must not open the new one
+        const last = deck ? deck.last : null;
+        if (cards.length > 1 && cards[cards.length - 1] === last) {
+            [cards[0], cards[cards.length - 1]] = [cards[cards.length - 1], cards[0]];
+        }
+
+        deck = greetingDecks[key] = { cards, last };
+    }
+
+    deck.last = deck.cards.pop();
+    saveGreetingProgress();
+    return deck.last;
+}
+
+// Remember greetings currently shown on the board. Returns true if something new was found
+function markGreetingsDiscovered() {
+    let changed = false;
+
+    tasks.forEach(task => {
+        const pool = getGreetingPool(task.columnId, task.teamId);
+        const index = pool ? pool.indexOf(task.description) : -1;
+        if (index === -1) return;
+
+        const key = getGreetingDeckKey(task.columnId, task.teamId);
+        const discovered = discoveredGreetings[key] = discoveredGreetings[key] || [];
+        if (!discovered.includes(index)) {
+            discovered.push(index);
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        saveGreetingProgress();
+    }
+    return changed;
+}
+
+// Discovered / total greetings of a column (all team lists together)
+function getColumnGreetingProgress(columnId) {
+    const greetings = config.greetings[columnId];
+    if (!greetings) return { discovered: 0, total: 0 };
+
+    if (Array.isArray(greetings)) {
+        return {
+            discovered: (discoveredGreetings[columnId] || []).length,
+            total: greetings.length
+        };
+    }
+
+    let discovered = 0;
+    let total = 0;
+    Object.keys(greetings).forEach(teamId => {
+        if (!Array.isArray(greetings[teamId])) return;
+        discovered += (discoveredGreetings[`${columnId}/${teamId}`] || []).length;
+        total += greetings[teamId].length;
+    });
+    return { discovered, total };
+}
+
+// Save decks and discovery progress
+function saveGreetingProgress() {
+    if (!boardPersistence) return;
+
+    try {
+        localStorage.setItem(getBoardStorageKey(GREETINGS_STORAGE_KEY), JSON.stringify({
+            version: BOARD_SCHEMA_VERSION,
+            configHash: getConfigFingerprint(),
+            decks: greetingDecks,
+            discovered: discoveredGreetings
+        }));
+    } catch (error) {
+        // Progress is optional - ignore storage errors
+    }
+}
+
+// Restore decks and discovery progress saved for the same config
+function restoreGreetingProgress() {
+    greetingDecks = {};
+    discoveredGreetings = {};
+
+    if (!boardPersistence) return;
+
+    let state;
+    try {
+        state = JSON.parse(localStorage.getItem(getBoardStorageKey(GREETINGS_STORAGE_KEY)));
+    } catch (error) {
+        state = null;
+    }
+
+    if (!state || state.version !== BOARD_SCHEMA_VERSION || state.configHash !== getConfigFingerprint()) {
+        return;
+    }
+
+    greetingDecks = state.decks && typeof state.decks === 'object' ? state.decks : {};
+    discoveredGreetings = state.discovered && typeof state.discovered === 'object' ? state.discovered : {};
+}
+
+// ============================================
+// SAFE DOM RENDERING
+// ============================================
+// All config text goes through text nodes and attributes set via the DOM API,
+// never through innerHTML, so greetings with <, quotes or markup render as text.
+
+// Create element: h('div', { className: 'x', dataset: {...}, style: {...}, onclick: fn }, child, 'text', ...)
+function h(tag, props, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props || {}).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+
+        if (key === 'dataset') {
+            Object.entries(value).forEach(([name, dataValue]) => {
+                element.dataset[name] = dataValue;
+            });
+        } else if (key === 'style') {
+            // CSSOM instead of style attribute - allowed by a strict CSP
+            Object.assign(element.style, value);
+        } else if (key.startsWith('on') && typeof value === 'function') {
+            element.addEventListener(key.slice(2), value);
+        } else if (key in element) {
+            element[key] = value;
+        } else {
+            element.setAttribute(key, value === true ? '' : value);
+        }
+    });
+
+    children.flat().forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+
+    return element;
+}
+
+// Create Kanban board
+function createKanbanBoard() {
+    const board = document.getElementById('kanban-board');
+    board.replaceChildren();
+
+    config.columns.forEach(column => {
+        const columnElement = createColumnElement(column);
+        board.appendChild(columnElement);
+    });
+
+    // Render tasks
+    renderTasks();
+}
+
+// Create column element
+function createColumnElement(column) {
+    const tasksContainer = h('div', {
+        className: 'column-tasks',
+        dataset: { columnId: column.id },
+        role: 'list',
+        'aria-label': column.title
+    });
+
+    const columnDiv = h('div', { className: 'kanban-column', dataset: { column: column.id } },
+        h('div', { className: 'column-header' },
+            h('div', { className: 'column-title-row' },
+                h('div', { className: 'column-title' }, column.title),
+                h('span', {
+                    className: 'column-count',
+                    title: column.wipLimit ? t('column.countWip') : t('column.count')
+                })
+            ),
+            h('div', { className: 'column-description' }, column.description),
+            h('div', { className: 'greeting-progress' },
+                h('div', { className: 'greeting-progress-bar' },
+                    h('div', { className: 'greeting-progress-fill' })
+                ),
+                h('span', { className: 'greeting-progress-text' })
+            )
+        ),
+        tasksContainer
+    );
+
+    // Setup drag and drop
+    tasksContainer.addEventListener('dragover', handleDragOver);
+    tasksContainer.addEventListener('drop', handleDrop);
+    tasksContainer.addEventListener('dragleave', handleDragLeave);
+
+    // Setup touch scrolling for empty space in column
+    let columnTouchStartY = 0;
+    let columnInitialScroll = 0;
+
+    tasksContainer.addEventListener('touchstart', (e) => {
+        // Only handle if touch is on the container itself, not on a task
+        if (e.target === tasksContainer) {
+            columnTouchStartY = e.touches[0].clientY;
+            columnInitialScroll = tasksContainer.scrollTop;
+        }
+    }, { passive: true });
+
+    tasksContainer.addEventListener('touchmove', (e) => {
+        // Only handle if touch started on the container itself
+        if (e.target === tasksContainer && columnTouchStartY !== 0) {
+            const deltaY = e.touches[0].clientY - columnTouchStartY;
+            tasksContainer.scrollTop = columnInitialScroll - deltaY;
+        }
+    }, { passive: true });
+
+    tasksContainer.addEventListener('touchend', () => {
+        columnTouchStartY = 0;
+    }, { passive: true });
+
+    return columnDiv;
+}
+
+// Time between photos: project, then team, then default
+function getPhotoInterval(team, project) {
+    if (project && project.photoInterval) return project.photoInterval;
+    if (team && team.photoInterval) return team.photoInterval;
+    return PHOTO_INTERVAL;
+}
+
+// Observer that pauses images outside the viewport
+function getPhotoObserver() {
+    if (!photoObserver && 'IntersectionObserver' in window) {
+        photoObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const state = rotatingPhotos.get(entry.target);
+                if (state) {
+                    state.visible = entry.isIntersecting;
+                }
+            });
+        });
+    }
+    return photoObserver;
+}
+
+// Start photo rotation for an image (card badge or modal). onChange(index) is called after each swap
+function startPhotoRotation(img, photos, interval, onChange) {
+    stopPhotoRotation(img);
+    if (photos.length < 2) return;
+
+    rotatingPhotos.set(img, {
+        photos,
+        index: 0,
+        interval,
+        nextSwap: Date.now() + interval,
+        visible: true,
+        paused: false,
+        loading: false,
+        onChange
+    });
+
+    const observer = getPhotoObserver();
+    if (observer) {
+        observer.observe(img);
+    }
+    updatePhotoTicker();
+}
+
+// Stop photo rotation for an image
+function stopPhotoRotation(img) {
+    if (!rotatingPhotos.delete(img)) return;
+
+    if (photoObserver) {
+        photoObserver.unobserve(img);
+    }
+    updatePhotoTicker();
+}
+
+// Photo was changed by hand: continue from it after a full interval
+function syncPhotoRotation(img, index) {
+    const state = rotatingPhotos.get(img);
+    if (!state) return;
+
+    state.index = index;
+    state.nextSwap = Date.now() + state.interval;
+}
+
+// Pause rotation (e.g. while hovered); resuming waits a full interval
+function setPhotoRotationPaused(img, paused) {
+    const state = rotatingPhotos.get(img);
+    if (!state) return;
+
+    state.paused = paused;
+    if (!paused) {
+        state.nextSwap = Date.now() + state.interval;
+    }
+}
+
+// Forget images removed from the page (cards re-rendered)
+function stopDetachedPhotoRotations() {
+    rotatingPhotos.forEach((state, img) => {
+        if (!img.isConnected) {
+            stopPhotoRotation(img);
+        }
+    });
+}
+
+// Shared ticker runs only while there are photos to rotate and the tab is visible
+function updatePhotoTicker() {
+    const shouldRun = rotatingPhotos.size > 0 && !document.hidden;
+
+    if (shouldRun && !photoTicker) {
+        photoTicker = setInterval(tickPhotos, PHOTO_TICK_MS);
+    } else if (!shouldRun && photoTicker) {
+        clearInterval(photoTicker);
+        photoTicker = null;
+    }
+}
+
+// One tick: advance images that are due and on screen
+function tickPhotos() {
+    const now = Date.now();
+
+    stopDetachedPhotoRotations();
+    rotatingPhotos.forEach((state, img) => {
+        if (state.visible && !state.paused && !state.loading && now >= state.nextSwap) {
+            showNextPhoto(img, state);
+        }
+    });
+}
+
+// Preload next photo and swap only when it is ready, so the image does not flicker
+function showNextPhoto(img, state) {
+    const fromIndex = state.index;
+    const nextIndex = (fromIndex + 1) % state.photos.length;
+    const preload = new Image();
+
+    const done = (loaded) => {
+        state.loading = false;
+        // Photo was changed by hand while loading
+        if (state.index !== fromIndex) return;
+
+        state.index = nextIndex;
+        state.nextSwap = Date.now() + state.interval;
+
+        // Broken photos are skipped; rotation may have been stopped while loading
+        if (loaded && rotatingPhotos.get(img) === state) {
+            crossfadePhoto(img, state.photos[nextIndex]);
+            if (state.onChange) {
+                state.onChange(nextIndex);
+            }
+        }
+    };
+
+    state.loading = true;
+    preload.onload = () => done(true);
+    preload.onerror = () => done(false);
+    preload.src = state.photos[nextIndex];
+}
+
+// Crossfade: a copy with the old photo lies over the image and fades out
+function crossfadePhoto(img, src) {
+    if (getEffectsMode() === 'off' || !img.offsetParent) {
+        img.src = src;
+        return;
+    }
+
+    const layer = img.cloneNode();
+    layer.removeAttribute('id');
+    layer.removeAttribute('data-task-id');
+    layer.alt = '';
+    layer.setAttribute('aria-hidden', 'true');
+    layer.classList.add('photo-crossfade');
+    layer.style.left = `${img.offsetLeft}px`;
+    layer.style.top = `${img.offsetTop}px`;
+
+    img.after(layer);
+    img.src = src;
+    setTimeout(() => layer.remove(), PHOTO_FADE_MS);
+}
+
+// Pause rotation in background tabs
+document.addEventListener('visibilitychange', updatePhotoTicker);
+
+// Render all tasks
+function renderTasks() {
+    // Clear all columns
+    document.querySelectorAll('.column-tasks').forEach(container => {
+        container.replaceChildren();
+    });
+    stopDetachedPhotoRotations();
+
+    // Render each task
+    tasks.forEach(task => {
+        const taskElement = createTaskElement(task);
+        const container = document.querySelector(`.column-tasks[data-column-id="${task.columnId}"]`);
+        if (container) {
+            container.appendChild(taskElement);
+        }
+    });
+
+    updateColumnCounts();
+
+    // Greeting discovery progress
+    markGreetingsDiscovered();
+    updateGreetingProgress();
+}
+
+// Update "🎁 N из M" greeting progress indicators in column headers
+function updateGreetingProgress() {
+    config.columns.forEach(column => {
+        const progressElement = document.querySelector(`.kanban-column[data-column="${column.id}"] .greeting-progress`);
+        if (!progressElement) return;
+
+        const { discovered, total } = getColumnGreetingProgress(column.id);
+        progressElement.hidden = total === 0;
+        progressElement.querySelector('.greeting-progress-fill').style.width = `${total ? (discovered / total) * 100 : 0}%`;
+        progressElement.querySelector('.greeting-progress-text').textContent =
+            t('column.greetingProgress', { discovered, total });
+        progressElement.classList.toggle('complete', total > 0 && discovered === total);
+    });
+}
+
+// Update task counters and WIP-limit state in column headers
+function updateColumnCounts() {
+    config.columns.forEach(column => {
+        const columnElement = document.querySelector(`.kanban-column[data-column="${column.id}"]`);
+        if (!columnElement) return;
+
+        const count = getColumnTaskCount(column.id);
+        const counter = columnElement.querySelector('.column-count');
+        counter.textContent = column.wipLimit ? `${count}/${column.wipLimit}` : String(count);
+
+        columnElement.classList.toggle('wip-limit-reached', Boolean(column.wipLimit) && count >= column.wipLimit);
+        columnElement.classList.toggle('wip-limit-exceeded', Boolean(column.wipLimit) && count > column.wipLimit);
+    });
+}
+
+// Create task element
+function createTaskElement(task) {
+    const team = getTeamById(task.teamId);
+    const project = getProjectByIndex(team, task.projectIndex || 0);
+
+    // Get photos from project
+    const photos = project && project.photos ? project.photos : [];
+    const projectName = project ? project.name : team.name;
+
+    const taskDiv = h('div', {
+        className: 'task-card',
+        draggable: true,
+        tabIndex: 0,
+        role: 'listitem',
+        'aria-describedby': 'keyboard-help',
+        dataset: { taskId: task.id }
+    },
+        h('div', { className: 'task-header' },
+            h('span', { className: 'task-id' }, getTaskLabel(task)),
+            h('button', {
+                type: 'button',
+                className: 'team-badge',
+                style: { background: `${team.color}20` },
+                'aria-label': t('task.open', { team: team.name, project: projectName })
+            },
+                h('img', {
+                    src: photos[0] || PLACEHOLDER_IMAGE,
+                    alt: team.name,
+                    className: 'team-photo',
+                    dataset: { taskId: task.id }
+                }),
+                h('span', { className: 'team-info' },
+                    h('span', { className: 'team-name' }, team.name),
+                    h('span', { className: 'project-name' }, projectName)
+                )
+            )
+        ),
+        h('div', { className: 'task-description' }, task.description)
+    );
+
+    // Rotate photos if there are multiple photos
+    startPhotoRotation(taskDiv.querySelector('.team-photo'), photos, getPhotoInterval(team, project));
+
+    // Drag events for desktop
+    taskDiv.addEventListener('dragstart', handleDragStart);
+    taskDiv.addEventListener('dragend', handleDragEnd);
+
+    // Keyboard moving
+    taskDiv.addEventListener('keydown', handleTaskKeyDown);
+    taskDiv.addEventListener('blur', () => {
+        if (keyboardGrabbedTask && keyboardGrabbedTask.id === task.id) {
+            cancelKeyboardMove();
+        }
+    });
+
+    // Touch events for mobile - all non-passive to give full control
+    taskDiv.addEventListener('touchstart', handleTouchStart, { passive: false });
+
+    taskDiv.addEventListener('touchmove', handleTouchMove, { passive: false });
+    taskDiv.addEventListener('touchend', handleTouchEnd, { passive: false });
+    taskDiv.addEventListener('touchcancel', (e) => {
+        if (isDragging && draggedTask && lastColumnOver) {
+            // If we're dragging, treat touchcancel as drop
+            const newColumnId = lastColumnOver.dataset.columnId;
+            const oldColumnId = draggedTask.columnId;
+
+            if (newColumnId && oldColumnId) {
+                moveTask(draggedTask.id, newColumnId, oldColumnId);
+            }
+        }
+
+        // Always cleanup after touchcancel
+        cleanupDragState();
+    }, { passive: true });
+
+    // Prevent context menu and text selection on long press
+    taskDiv.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        return false;
+    });
+
+    taskDiv.addEventListener('selectstart', (e) => {
+        e.preventDefault();
+        return false;
+    });
+
+    // Click to open modal
+    taskDiv.querySelector('.team-badge').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showTaskModal(task);
+    });
+
+    return taskDiv;
+}
+
+// Drag and Drop handlers
+function handleDragStart(e) {
+    const taskId = parseInt(e.target.dataset.taskId);
+    draggedTask = tasks.find(t => t.id === taskId);
+    e.target.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+function handleDragEnd(e) {
+    e.target.classList.remove('dragging');
+    draggedTask = null;
+
+    // Remove drag-over class from all columns
+    document.querySelectorAll('.column-tasks').forEach(col => {
+        col.classList.remove('drag-over');
+    });
+}
+
+function handleDragOver(e) {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     e.currentTarget.classList.add('drag-over');
 }
 
-function handleDragLeave(e) {
-    if (e.target && e.target.classList && e.target.classList.contains('column-tasks')) {
-        e.target.classList.remove('drag-over');
+function handleDragLeave(e) {
+    if (e.target && e.target.classList && e.target.classList.contains('column-tasks')) {
+        e.target.classList.remove('drag-over');
+    }
+}
+
+function handleDrop(e) {
+    e.preventDefault();
+
+    if (e.currentTarget && e.currentTarget.classList) {
+        e.currentTarget.classList.remove('drag-over');
+    }
+
+    if (!draggedTask) return;
+
+    const newColumnId = e.currentTarget.dataset.columnId;
+    const oldColumnId = draggedTask.columnId;
+
+    moveTask(draggedTask.id, newColumnId, oldColumnId);
+}
+
+// ============================================
+// KEYBOARD MOVING & SCREEN READER SUPPORT
+// ============================================
+
+// Announce message to screen readers
+function announce(message) {
+    const announcer = document.getElementById('a11y-announcer');
+    if (!announcer) return;
+
+    // Clear first so repeating the same message is announced again
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
+// Task label for announcements
+function getTaskLabel(task) {
+    return t('task.label', { id: task.id });
+}
+
+// Focus task card by ID (after re-render)
+function focusTask(taskId) {
+    const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+    if (card) {
+        card.focus();
+    }
+}
+
+// Keyboard handler of a task card
+function handleTaskKeyDown(e) {
+    // Keys on the badge button are handled by the button itself
+    if (e.target !== e.currentTarget) return;
+
+    const taskId = parseInt(e.currentTarget.dataset.taskId);
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    if (keyboardGrabbedTask) {
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                changeKeyboardTarget(-1);
+                break;
+            case 'ArrowRight':
+            case 'ArrowDown':
+                changeKeyboardTarget(1);
+                break;
+            case 'Enter':
+            case ' ':
+                dropKeyboardTask();
+                break;
+            case 'Escape':
+                cancelKeyboardMove();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        return;
+    }
+
+    switch (e.key) {
+        case 'Enter':
+        case ' ':
+            grabKeyboardTask(task);
+            break;
+        case 'ArrowUp':
+        case 'ArrowDown':
+            focusSiblingTask(e.currentTarget, e.key === 'ArrowDown' ? 1 : -1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            focusAdjacentColumn(task.columnId, e.key === 'ArrowRight' ? 1 : -1);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+// Move focus to previous/next card in the same column
+function focusSiblingTask(card, direction) {
+    const cards = Array.from(card.parentElement.querySelectorAll('.task-card'));
+    const next = cards[cards.indexOf(card) + direction];
+    if (next) {
+        next.focus();
+    }
+}
+
+// Move focus to first card of the nearest non-empty column in direction
+function focusAdjacentColumn(columnId, direction) {
+    const columnIds = config.columns.map(c => c.id);
+
+    for (let i = columnIds.indexOf(columnId) + direction; i >= 0 && i < columnIds.length; i += direction) {
+        const card = document.querySelector(`.column-tasks[data-column-id="${columnIds[i]}"] .task-card`);
+        if (card) {
+            card.focus();
+            return;
+        }
+    }
+}
+
+// Pick task up
+function grabKeyboardTask(task) {
+    keyboardGrabbedTask = task;
+    keyboardTargetColumnId = task.columnId;
+
+    const card = document.querySelector(`.task-card[data-task-id="${task.id}"]`);
+    if (card) {
+        card.classList.add('keyboard-grabbed');
+        card.setAttribute('aria-pressed', 'true');
+    }
+
+    highlightKeyboardTarget();
+    announce(t('keyboard.grabbed', { task: getTaskLabel(task), column: getColumnById(task.columnId).title }));
+}
+
+// Choose previous/next column as drop target
+function changeKeyboardTarget(direction) {
+    const columnIds = config.columns.map(c => c.id);
+    const index = columnIds.indexOf(keyboardTargetColumnId) + direction;
+    if (index < 0 || index >= columnIds.length) return;
+
+    keyboardTargetColumnId = columnIds[index];
+    highlightKeyboardTarget();
+
+    const column = getColumnById(keyboardTargetColumnId);
+    announce(t('keyboard.target', { column: column.title, index: index + 1, total: columnIds.length }));
+}
+
+// Highlight drop target column
+function highlightKeyboardTarget() {
+    document.querySelectorAll('.column-tasks').forEach(col => {
+        col.classList.toggle('drag-over', col.dataset.columnId === keyboardTargetColumnId);
+    });
+}
+
+// Drop grabbed task into the target column
+function dropKeyboardTask() {
+    const task = keyboardGrabbedTask;
+    const newColumnId = keyboardTargetColumnId;
+    const oldColumnId = task.columnId;
+
+    // Reset state first: re-render below removes the focused card
+    clearKeyboardMoveState();
+
+    if (newColumnId === oldColumnId) {
+        announce(t('keyboard.stayed', { task: getTaskLabel(task), column: getColumnById(oldColumnId).title }));
+        return;
+    }
+
+    moveTask(task.id, newColumnId, oldColumnId);
+    focusTask(task.id);
+}
+
+// Put task back without moving
+function cancelKeyboardMove() {
+    const task = keyboardGrabbedTask;
+    clearKeyboardMoveState();
+    announce(t('keyboard.cancelled', { task: getTaskLabel(task) }));
+}
+
+// Clear keyboard moving state and highlights
+function clearKeyboardMoveState() {
+    document.querySelectorAll('.task-card.keyboard-grabbed').forEach(card => {
+        card.classList.remove('keyboard-grabbed');
+        card.removeAttribute('aria-pressed');
+    });
+    document.querySelectorAll('.column-tasks').forEach(col => {
+        col.classList.remove('drag-over');
+    });
+
+    keyboardGrabbedTask = null;
+    keyboardTargetColumnId = null;
+}
+
+// Touch handlers for mobile
+let touchStartX, touchStartY;
+let isDragging = false;
+let draggedElement = null;
+let initialScrollTop = 0; // Track initial scroll position
+let dragDirection = null; // Track if user is scrolling or dragging
+let lastColumnOver = null; // Track last column the dragged element was over
+let currentTouchEvent = null; // Store current touch event to prevent cancel
+let touchStartTime = 0; // Track when touch started
+let hasMoved = false; // Track if user moved finger
+
+// Detect iOS
+const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+              (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+
+// Helper function to clean up drag state
+function cleanupDragState() {
+    if (touchTimeout) {
+        clearTimeout(touchTimeout);
+        touchTimeout = null;
+    }
+    if (draggedElement) {
+        draggedElement.classList.remove('dragging', 'touch-dragging');
+        draggedElement.style.position = '';
+        draggedElement.style.zIndex = '';
+        draggedElement.style.left = '';
+        draggedElement.style.top = '';
+        draggedElement.style.pointerEvents = '';
+        draggedElement.style.visibility = '';
+        draggedElement.style.transform = '';
+        draggedElement.style.width = '';
+        delete draggedElement.dataset.dragOffsetY;
+    }
+    isDragging = false;
+    draggedTask = null;
+    draggedElement = null;
+    dragDirection = null;
+    lastColumnOver = null;
+    currentTouchEvent = null;
+    touchStartTime = 0;
+    hasMoved = false;
+    document.querySelectorAll('.column-tasks').forEach(col => {
+        col.classList.remove('drag-over');
+    });
+}
+
+function handleTouchStart(e) {
+    const taskId = parseInt(e.currentTarget.dataset.taskId);
+    const task = tasks.find(t => t.id === taskId);
+    const element = e.currentTarget;
+
+    touchStartX = e.touches[0].clientX;
+    touchStartY = e.touches[0].clientY;
+    touchStartTime = Date.now();
+    hasMoved = false;
+    dragDirection = null;
+    currentTouchEvent = e; // Save event reference
+
+    // Save initial scroll position of the column
+    const column = element.closest('.column-tasks');
+    if (column) {
+        initialScrollTop = column.scrollTop;
+    }
+
+    // Shorter timeout for better responsiveness on Android
+    touchTimeout = setTimeout(() => {
+        if (!element || !task) return;
+
+        // Don't activate drag yet, just mark as ready
+        // Drag will activate on first micro-move in handleTouchMove
+        draggedTask = task;
+        draggedElement = element;
+
+        // Provide haptic feedback if available
+        vibrate(50);
+
+        // IMPORTANT: Clear timeout reference after it fires
+        touchTimeout = null;
+
+    }, 150); // Shorter timeout - 150ms instead of 300ms
+}
+
+function handleTouchMove(e) {
+    // CRITICAL: Always save current touch event for later preventDefault
+    if (e.touches && e.touches.length > 0) {
+        currentTouchEvent = e;
+    }
+
+    const touch = e.touches[0];
+    const moveX = Math.abs(touch.clientX - touchStartX);
+    const moveY = Math.abs(touch.clientY - touchStartY);
+    const totalMove = Math.sqrt(moveX * moveX + moveY * moveY);
+
+    // Mark that user has moved
+    if (totalMove > 2) {
+        hasMoved = true;
+    }
+
+    // NEW LOGIC: If timeout expired and we have task ready (draggedTask set but not isDragging yet)
+    // AND user moved finger - activate drag immediately with preventDefault to prevent touchcancel
+    if (!isDragging && draggedTask && draggedElement && hasMoved && !touchTimeout) {
+        // CRITICAL: Call preventDefault IMMEDIATELY to prevent touchcancel
+        e.preventDefault();
+        e.stopPropagation();
+
+        isDragging = true;
+
+        draggedElement.classList.add('touch-dragging');
+        draggedElement.style.position = 'fixed';
+        draggedElement.style.zIndex = '1000';
+        draggedElement.style.pointerEvents = 'none';
+
+        // Position element at touch point immediately
+        const rect = draggedElement.getBoundingClientRect();
+        draggedElement.style.width = rect.width + 'px';
+
+        // Position at current touch point
+        draggedElement.style.left = touch.clientX - rect.width / 2 + 'px';
+        draggedElement.style.top = touch.clientY - rect.height / 2 + 'px';
+
+        // Store offset as 0
+        draggedElement.dataset.dragOffsetY = '0';
+
+        return;
+    }
+
+    // Cancel long press if moved too much BEFORE timeout fires
+    if (touchTimeout && !isDragging && totalMove > 15) {
+        clearTimeout(touchTimeout);
+        touchTimeout = null;
+        draggedTask = null;
+        draggedElement = null;
+        return;
+    }
+
+    // If already dragging, handle drag movement
+    if (isDragging && draggedElement) {
+        // CRITICAL: Always preventDefault when dragging to prevent touchcancel
+        e.preventDefault();
+        e.stopPropagation();
+
+        const offsetY = parseInt(draggedElement.dataset.dragOffsetY || '0');
+
+        // Always hide element to get proper element below (not just iOS)
+        draggedElement.style.visibility = 'hidden';
+        let elementBelow = document.elementFromPoint(touch.clientX, touch.clientY);
+        draggedElement.style.visibility = 'visible';
+
+        // Apply position with maintained offset
+        draggedElement.style.left = touch.clientX - draggedElement.offsetWidth / 2 + 'px';
+        draggedElement.style.top = (touch.clientY - draggedElement.offsetHeight / 2 - offsetY) + 'px';
+
+        // Highlight column under touch
+        document.querySelectorAll('.column-tasks').forEach(col => {
+            col.classList.remove('drag-over');
+        });
+
+        if (elementBelow) {
+            const columnTasks = elementBelow.closest('.column-tasks');
+            if (columnTasks) {
+                columnTasks.classList.add('drag-over');
+                lastColumnOver = columnTasks; // Save last column
+            }
+        }
+        return; // Important: don't fall through to scroll logic
+    }
+
+    // If not dragging and no timeout, allow manual scrolling via touch move
+    if (!isDragging && !touchTimeout && !draggedTask) {
+        const column = e.currentTarget.closest('.column-tasks');
+        if (column && moveY > 5) {
+            const deltaY = touch.clientY - touchStartY;
+            column.scrollTop = initialScrollTop - deltaY;
+        }
+    }
+}
+
+function handleTouchEnd(e) {
+    clearTimeout(touchTimeout);
+
+    if (isDragging && draggedTask && draggedElement) {
+        // Use the last column we were hovering over (most reliable)
+        let columnTasks = lastColumnOver;
+
+        // If we have a valid column, move the task
+        if (columnTasks && columnTasks.dataset.columnId) {
+            const newColumnId = columnTasks.dataset.columnId;
+            const oldColumnId = draggedTask.columnId;
+
+            // Move task BEFORE cleanup
+            moveTask(draggedTask.id, newColumnId, oldColumnId);
+        }
+    }
+
+    // Clean up all drag state using helper function
+    cleanupDragState();
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+// Copy of board state
+function captureBoardState() {
+    return {
+        tasks: tasks.map(task => ({ ...task })),
+        nextTaskId
+    };
+}
+
+// Replace board with saved state
+function applyBoardState(board) {
+    tasks = board.tasks.map(task => ({ ...task }));
+    nextTaskId = board.nextTaskId;
+    renderTasks();
+    saveBoardState();
+}
+
+// Remember board state before a change
+function pushHistory(label) {
+    undoStack.push({ label, board: captureBoardState() });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// Undo last change
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    redoStack.push({ label: entry.label, board: captureBoardState() });
+    applyBoardState(entry.board);
+    updateHistoryButtons();
+    recordTimelineEvent('undo', null, { label: entry.label });
+
+    showNotice(t('history.undone', { label: entry.label }), 'info', { duration: 3000, key: 'history' });
+    announce(t('history.undone', { label: entry.label }));
+}
+
+// Redo last undone change
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    undoStack.push({ label: entry.label, board: captureBoardState() });
+    applyBoardState(entry.board);
+    updateHistoryButtons();
+    recordTimelineEvent('redo', null, { label: entry.label });
+
+    showNotice(t('history.redone', { label: entry.label }), 'info', { duration: 3000, key: 'history' });
+    announce(t('history.redone', { label: entry.label }));
+}
+
+// Toast with "Undo" button after a change
+function showUndoNotice(message) {
+    showNotice(message, 'info', {
+        duration: 5000,
+        key: 'history',
+        action: { label: t('history.undoAction'), onClick: undo }
+    });
+}
+
+// Enable/disable undo and redo buttons
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (!undoBtn || !redoBtn) return;
+
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+
+    undoBtn.disabled = !lastUndo;
+    undoBtn.title = lastUndo ? t('history.undoTitle', { label: lastUndo.label }) : t('history.nothingToUndo');
+    redoBtn.disabled = !lastRedo;
+    redoBtn.title = lastRedo ? t('history.redoTitle', { label: lastRedo.label }) : t('history.nothingToRedo');
+}
+
+// Setup undo/redo buttons and shortcuts
+function setupHistoryControls() {
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    updateHistoryButtons();
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Text fields keep their own undo
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+}
+
+// ============================================
+// ACTIVITY TIMELINE
+// ============================================
+
+// Record timestamped board event. task - task after the change (if any)
+function recordTimelineEvent(type, task = null, details = {}) {
+    const event = { type, time: new Date().toISOString(), ...details };
+
+    if (task) {
+        event.taskId = task.id;
+        event.columnId = task.columnId;
+        event.teamId = task.teamId;
+        event.projectIndex = task.projectIndex;
+        event.description = task.description;
+    }
+
+    timelineEvents.push(event);
+    if (timelineEvents.length > TIMELINE_LIMIT) {
+        timelineEvents.shift();
+    }
+
+    saveTimeline();
+    renderTimeline();
+}
+
+// Save timeline to localStorage
+function saveTimeline() {
+    if (!boardPersistence) return;
+
+    try {
+        localStorage.setItem(getBoardStorageKey(TIMELINE_STORAGE_KEY), JSON.stringify({
+            version: BOARD_SCHEMA_VERSION,
+            configHash: getConfigFingerprint(),
+            events: timelineEvents
+        }));
+    } catch (error) {
+        // Timeline is optional - ignore storage errors
+    }
+}
+
+// Restore timeline saved for the same config
+function restoreTimeline() {
+    timelineEvents = [];
+    if (!boardPersistence) return;
+
+    try {
+        const state = JSON.parse(localStorage.getItem(getBoardStorageKey(TIMELINE_STORAGE_KEY)));
+        if (state && state.version === BOARD_SCHEMA_VERSION &&
+            state.configHash === getConfigFingerprint() && Array.isArray(state.events)) {
+            timelineEvents = state.events;
+        }
+    } catch (error) {
+        // Start with an empty timeline
+    }
+}
+
+// Human-readable names of event's team, project and column
+function getTimelineEventNames(event) {
+    const team = event.teamId ? getTeamById(event.teamId) : null;
+    const project = team ? getProjectByIndex(team, event.projectIndex || 0) : null;
+    const column = event.columnId ? getColumnById(event.columnId) : null;
+    const fromColumn = event.fromColumnId ? getColumnById(event.fromColumnId) : null;
+    const fromTeam = event.fromTeamId ? getTeamById(event.fromTeamId) : null;
+
+    return {
+        team: team ? team.name : event.teamId,
+        project: project ? project.name : '',
+        column: column ? column.title : event.columnId,
+        fromColumn: fromColumn ? fromColumn.title : event.fromColumnId,
+        fromTeam: fromTeam ? fromTeam.name : event.fromTeamId
+    };
+}
+
+// One-line summary of event
+function describeTimelineEvent(event) {
+    const names = getTimelineEventNames(event);
+    const params = {
+        task: event.taskId !== undefined ? getTaskLabel({ id: event.taskId }) : '',
+        column: names.column,
+        from: names.fromColumn,
+        fromTeam: names.fromTeam,
+        label: event.label
+    };
+
+    switch (event.type) {
+        case 'move':
+        case 'deliver':
+        case 'reassign':
+        case 'spawn':
+            return t(`timeline.${event.type}`, params);
+        case 'reset':
+            return t('board.reset');
+        case 'undo':
+            return t('history.undone', params);
+        case 'redo':
+            return t('history.redone', params);
+        default:
+            return event.type;
+    }
+}
+
+// Format ISO time as HH:MM:SS
+function formatTimelineTime(isoTime) {
+    return new Date(isoTime).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+// Events matching team/column filters
+function getFilteredTimelineEvents() {
+    return timelineEvents.filter(event =>
+        (!timelineFilter.teamId || event.teamId === timelineFilter.teamId || event.fromTeamId === timelineFilter.teamId) &&
+        (!timelineFilter.columnId || event.columnId === timelineFilter.columnId || event.fromColumnId === timelineFilter.columnId)
+    );
+}
+
+// Render timeline list (newest first)
+function renderTimeline() {
+    const counter = document.getElementById('timeline-count');
+    if (counter) {
+        counter.textContent = timelineEvents.length;
+    }
+
+    const list = document.getElementById('timeline-list');
+    const panel = document.getElementById('timeline-panel');
+    if (!list || !panel || panel.hidden) return;
+
+    const events = getFilteredTimelineEvents().slice().reverse();
+
+    list.replaceChildren(...events.map(event => {
+        const names = getTimelineEventNames(event);
+        const team = event.teamId ? getTeamById(event.teamId) : null;
+
+        return h('li', { className: `timeline-event timeline-event-${event.type}`, style: team ? { borderLeftColor: team.color } : null },
+            h('div', { className: 'timeline-event-header' },
+                h('time', { className: 'timeline-time', dateTime: event.time }, formatTimelineTime(event.time)),
+                h('span', { className: 'timeline-summary' }, describeTimelineEvent(event))
+            ),
+            event.teamId
+                ? h('div', { className: 'timeline-assignee' }, names.project ? `${names.team} - ${names.project}` : names.team)
+                : null,
+            event.description ? h('div', { className: 'timeline-greeting' }, event.description) : null
+        );
+    }));
+
+    if (events.length === 0) {
+        list.appendChild(h('li', { className: 'timeline-empty' }, t('timeline.empty')));
+    }
+}
+
+// Save file through a temporary download link
+function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = h('a', { href: url, download: fileName });
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export timeline (with resolved names) as JSON
+function exportTimelineJson() {
+    const events = timelineEvents.map(event => ({ ...event, ...getTimelineEventNames(event) }));
+    downloadFile('timeline.json', JSON.stringify({ title: config.title, events }, null, 2) + '\n', 'application/json');
+}
+
+// Export plain-text transcript of greetings delivered to Production
+function exportGreetingsTranscript() {
+    const delivered = timelineEvents.filter(event => event.type === 'deliver');
+
+    const lines = [config.title, t('timeline.transcriptTitle'), ''];
+    delivered.forEach(event => {
+        const names = getTimelineEventNames(event);
+        const date = new Date(event.time).toLocaleString(currentLocale);
+        lines.push(`[${date}] ${getTaskLabel({ id: event.taskId })} - ${names.team}${names.project ? ` (${names.project})` : ''}`);
+        lines.push(event.description);
+        lines.push('');
+    });
+    if (delivered.length === 0) {
+        lines.push(t('timeline.transcriptEmpty'));
+    }
+
+    downloadFile('greetings-delivered.txt', lines.join('\n'), 'text/plain;charset=utf-8');
+}
+
+// Open/close timeline panel
+function toggleTimelinePanel(open) {
+    const panel = document.getElementById('timeline-panel');
+    const toggle = document.getElementById('timeline-toggle');
+    const shouldOpen = open !== undefined ? open : panel.hidden;
+
+    panel.hidden = !shouldOpen;
+    toggle.setAttribute('aria-expanded', String(shouldOpen));
+
+    if (shouldOpen) {
+        renderTimeline();
+    }
+}
+
+// Fill team/column filter options, keeping the selection
+function populateTimelineFilters() {
+    const teamFilter = document.getElementById('timeline-team-filter');
+    const columnFilter = document.getElementById('timeline-column-filter');
+
+    teamFilter.replaceChildren(h('option', { value: '' }, t('timeline.allTeams')),
+        ...config.teams.map(team => h('option', { value: team.id }, team.name)));
+    columnFilter.replaceChildren(h('option', { value: '' }, t('timeline.allColumns')),
+        ...config.columns.map(column => h('option', { value: column.id }, column.title)));
+
+    teamFilter.value = timelineFilter.teamId;
+    columnFilter.value = timelineFilter.columnId;
+}
+
+// Setup timeline panel controls and filters
+function setupTimelinePanel() {
+    const teamFilter = document.getElementById('timeline-team-filter');
+    const columnFilter = document.getElementById('timeline-column-filter');
+
+    populateTimelineFilters();
+
+    teamFilter.addEventListener('change', () => {
+        timelineFilter.teamId = teamFilter.value;
+        renderTimeline();
+    });
+    columnFilter.addEventListener('change', () => {
+        timelineFilter.columnId = columnFilter.value;
+        renderTimeline();
+    });
+
+    document.getElementById('timeline-toggle').addEventListener('click', () => toggleTimelinePanel());
+    document.getElementById('timeline-close').addEventListener('click', () => toggleTimelinePanel(false));
+    document.getElementById('timeline-export-json').addEventListener('click', exportTimelineJson);
+    document.getElementById('timeline-export-text').addEventListener('click', exportGreetingsTranscript);
+    document.getElementById('timeline-clear').addEventListener('click', () => {
+        if (confirm(t('timeline.clearConfirm'))) {
+            timelineEvents = [];
+            saveTimeline();
+            renderTimeline();
+        }
+    });
+
+    renderTimeline();
+}
+
+// ============================================
+// WORKFLOW RULES
+// ============================================
+
+// Number of tasks in column
+function getColumnTaskCount(columnId) {
+    return tasks.filter(t => t.columnId === columnId).length;
+}
+
+// Check column transition rules and WIP limit.
+// Returns rejection message, or null when the move is allowed
+function getMoveRejection(task, oldColumn, newColumn) {
+    // Dropping back into the same column is always allowed
+    if (oldColumn.id === newColumn.id) return null;
+
+    if (Array.isArray(oldColumn.allowedTo) && !oldColumn.allowedTo.includes(newColumn.id)) {
+        const targets = oldColumn.allowedTo.map(id => getColumnById(id).title).join(', ');
+        return targets
+            ? t('workflow.onlyTo', { column: oldColumn.title, targets })
+            : t('workflow.noneFrom', { column: oldColumn.title });
+    }
+
+    if (Array.isArray(newColumn.allowedFrom) && !newColumn.allowedFrom.includes(oldColumn.id)) {
+        const sources = newColumn.allowedFrom.map(id => getColumnById(id).title).join(', ');
+        return sources
+            ? t('workflow.onlyFrom', { column: newColumn.title, sources })
+            : t('workflow.noneTo', { column: newColumn.title });
+    }
+
+    if (newColumn.wipLimit && getColumnTaskCount(newColumn.id) >= newColumn.wipLimit) {
+        return t('workflow.wipFull', {
+            column: newColumn.title,
+            count: getColumnTaskCount(newColumn.id),
+            limit: newColumn.wipLimit
+        });
+    }
+
+    return null;
+}
+
+// Rejected drop: snap card back, shake column and explain why
+function rejectMove(task, columnId, reason) {
+    const column = document.querySelector(`.column-tasks[data-column-id="${columnId}"]`);
+    if (column) {
+        column.classList.add('drop-rejected');
+        setTimeout(() => column.classList.remove('drop-rejected'), 600);
+    }
+
+    const card = document.querySelector(`.task-card[data-task-id="${task.id}"]`);
+    if (card) {
+        card.classList.add('snap-back');
+        setTimeout(() => card.classList.remove('snap-back'), 400);
+    }
+
+    showNotice(reason, 'warning', { duration: 3000 });
+    announce(t('workflow.rejected', { task: getTaskLabel(task), reason }));
+}
+
+// Move task logic. Returns false if the move was rejected by workflow rules
+function moveTask(taskId, newColumnId, oldColumnId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return false;
+
+    const oldColumn = getColumnById(oldColumnId);
+    const newColumn = getColumnById(newColumnId);
+
+    // Check if moving from Production (final state)
+    if (oldColumn.isFinal) {
+        pushHistory(t('move.spawnHistory', { task: getTaskLabel(task) }));
+
+        // Create new task in backlog instead
+        const spawnedTask = createNewTaskInBacklog();
+        showConfetti(oldColumnId);
+        if (spawnedTask) {
+            const backlog = getColumnById(spawnedTask.columnId).title;
+            announce(t('move.alreadyFinal', {
+                task: getTaskLabel(task),
+                column: oldColumn.title,
+                newTask: getTaskLabel(spawnedTask),
+                backlog
+            }));
+            showUndoNotice(t('move.spawned', { task: getTaskLabel(spawnedTask), backlog }));
+        }
+        return true;
+    }
+
+    // Check workflow rules
+    const rejection = getMoveRejection(task, oldColumn, newColumn);
+    if (rejection) {
+        rejectMove(task, newColumnId, rejection);
+        return false;
+    }
+
+    pushHistory(t('move.history', { task: getTaskLabel(task), column: newColumn.title }));
+
+    // Update task
+    const oldTeamId = task.teamId;
+    task.columnId = newColumnId;
+
+    // Update assignee based on column rules
+    const assignees = newColumn.assignees || [];
+    let selectedTeam;
+    if (newColumn.assigneeMode === 'random' || assignees.length === 0) {
+        selectedTeam = getRandomTeam();
+        task.teamId = selectedTeam.id;
+    } else if (assignees.length === 1) {
+        task.teamId = assignees[0];
+        selectedTeam = getTeamById(task.teamId);
+    } else {
+        // Random from specified assignees
+        task.teamId = assignees[Math.floor(Math.random() * assignees.length)];
+        selectedTeam = getTeamById(task.teamId);
+    }
+
+    // Select random project for the new team
+    const randomProject = getRandomProject(selectedTeam);
+    task.projectIndex = randomProject ? selectedTeam.projects.indexOf(randomProject) : 0;
+
+    // Update description
+    task.description = getGreetingForTask(newColumnId, task.teamId);
+
+    let eventType = 'move';
+    if (newColumn.isFinal) {
+        eventType = 'deliver';
+    } else if (newColumnId === oldColumnId) {
+        eventType = 'reassign';
+    }
+    recordTimelineEvent(eventType, task, { fromColumnId: oldColumnId, fromTeamId: oldTeamId });
+
+    // Show effects based on column
+    let spawnedTask = null;
+    if (newColumn.isFinal) {
+        // Production - confetti + new task
+        showConfetti(newColumnId);
+        spawnedTask = createNewTaskInBacklog();
+    } else {
+        // Other columns - specific effects
+        showEffectForColumn(newColumnId);
+    }
+
+    const moveParams = { task: getTaskLabel(task), column: newColumn.title, team: selectedTeam.name };
+    if (spawnedTask) {
+        announce(t('move.movedSpawned', {
+            ...moveParams,
+            newTask: getTaskLabel(spawnedTask),
+            backlog: getColumnById(spawnedTask.columnId).title
+        }));
+    } else {
+        announce(t('move.moved', moveParams));
+    }
+    showUndoNotice(t('move.notice', moveParams));
+
+    // Re-render
+    renderTasks();
+
+    // Persist board
+    saveBoardState();
+
+    return true;
+}
+
+// Create new task in backlog
+function createNewTaskInBacklog() {
+    const backlogColumn = config.columns.find(c => c.id === 'backlog');
+    if (!backlogColumn) return null;
+
+    const randomTeam = getRandomTeam();
+    const randomProject = getRandomProject(randomTeam);
+    const projectIndex = randomProject ? randomTeam.projects.indexOf(randomProject) : 0;
+
+    const newTask = {
+        id: nextTaskId++,
+        columnId: 'backlog',
+        teamId: randomTeam.id,
+        projectIndex: projectIndex,
+        description: getGreetingForTask('backlog', randomTeam.id)
+    };
+
+    tasks.push(newTask);
+    recordTimelineEvent('spawn', newTask);
+    renderTasks();
+    saveBoardState();
+
+    return newTask;
+}
+
+// Show task modal. confetti: false - the move has already celebrated delivery
+function showTaskModal(task, { confetti = true } = {}) {
+    const team = getTeamById(task.teamId);
+    const column = getColumnById(task.columnId);
+    const project = getProjectByIndex(team, task.projectIndex || 0);
+    const photos = project && project.photos ? project.photos : [];
+
+    const modal = document.getElementById('task-modal');
+    const wasOpen = modal.classList.contains('show');
+    fillTaskModal(task);
+    updateModalNav(task);
+
+    // Remember focus to restore it on close
+    if (!wasOpen) {
+        modalReturnFocus = document.activeElement;
+    }
+    modalTaskId = task.id;
+    setTaskUrl(task.id, wasOpen);
+
+    modal.classList.add('show');
+    modal.setAttribute('aria-hidden', 'false');
+    if (!wasOpen || !modal.contains(document.activeElement)) {
+        document.getElementById('close-modal').focus();
+    }
+
+    // Photo gallery, rotates if there are multiple photos
+    renderGallery(photos, getPhotoInterval(team, project));
+
+    // Show confetti if production (not again while walking through tasks)
+    if (column.isFinal && !wasOpen && confetti) {
+        showConfetti(column.id);
+    }
+}
+
+// Fill modal text: team, greeting and status
+function fillTaskModal(task) {
+    const team = getTeamById(task.teamId);
+    const project = getProjectByIndex(team, task.projectIndex || 0);
+    const projectName = project ? project.name : team.name;
+
+    document.getElementById('modal-team-name').textContent = `${team.name} - ${projectName}`;
+    document.getElementById('modal-team-photo').alt = team.name;
+    document.getElementById('modal-description').textContent = task.description;
+    document.getElementById('modal-status').textContent = getColumnById(task.columnId).title;
+    document.getElementById('modal-status').style.background = team.color;
+}
+
+// Close task modal and restore focus
+function closeTaskModal() {
+    const modal = document.getElementById('task-modal');
+    if (!modal.classList.contains('show')) return;
+
+    modal.classList.remove('show');
+    modal.setAttribute('aria-hidden', 'true');
+    closeGalleryFullscreen();
+    stopPhotoRotation(document.getElementById('modal-team-photo'));
+    clearTaskUrl();
+
+    // Badge may have been re-rendered while the modal was open
+    if (modalReturnFocus && document.contains(modalReturnFocus)) {
+        modalReturnFocus.focus();
+    } else if (modalTaskId !== null) {
+        focusTask(modalTaskId);
+    }
+    modalReturnFocus = null;
+    modalTaskId = null;
+}
+
+// Keep Tab focus inside the modal
+function trapModalFocus(e) {
+    if (e.key !== 'Tab') return;
+
+    const modal = document.getElementById('task-modal');
+    const focusable = Array.from(modal.querySelectorAll(
+        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    )).filter(el => !el.disabled && !el.closest('[hidden]')); // e.g. thumbnails of a single photo
+
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Setup modal
+function setupModal() {
+    const modal = document.getElementById('task-modal');
+    const closeBtn = document.getElementById('close-modal');
+
+    closeBtn.addEventListener('click', closeTaskModal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeTaskModal();
+        }
+    });
+
+    modal.addEventListener('keydown', trapModalFocus);
+
+    // Close on Escape (first leaves fullscreen photo), arrows switch photos, Shift+arrows - tasks
+    document.addEventListener('keydown', (e) => {
+        if (!modal.classList.contains('show')) return;
+
+        if (e.key === 'Escape') {
+            if (isGalleryFullscreen()) {
+                closeGalleryFullscreen();
+            } else {
+                closeTaskModal();
+            }
+        } else if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !isModalFormControl(e.target)) {
+            e.preventDefault();
+            const direction = e.key === 'ArrowLeft' ? -1 : 1;
+            if (e.shiftKey) {
+                stepModalTask(direction);
+            } else {
+                stepGallery(direction);
+            }
+        }
+    });
+
+    setupGallery();
+    setupModalNav();
+}
+
+// Form controls and task navigation keep their own arrow keys
+function isModalFormControl(target) {
+    return Boolean(target.closest && target.closest('input, select, textarea, .modal-nav'));
+}
+
+// ============================================
+// PHOTO GALLERY (TASK MODAL)
+// ============================================
+
+// Fill gallery with project photos and show the first one
+function renderGallery(photos, interval) {
+    const modalPhoto = document.getElementById('modal-team-photo');
+    galleryPhotos = photos;
+    galleryIndex = 0;
+
+    modalPhoto.src = photos[0] || PLACEHOLDER_IMAGE;
+
+    const hasSeveral = photos.length > 1;
+    ['gallery-prev', 'gallery-next', 'gallery-counter', 'gallery-thumbs'].forEach(id => {
+        document.getElementById(id).hidden = !hasSeveral;
+    });
+
+    document.getElementById('gallery-thumbs').replaceChildren(...photos.map((photo, index) => h('button', {
+        type: 'button',
+        className: 'gallery-thumb',
+        onclick: () => showGalleryPhoto(index)
+    },
+        h('img', { src: photo, alt: '', loading: 'lazy' })
+    )));
+
+    updateGallery();
+    startPhotoRotation(modalPhoto, photos, interval, index => {
+        galleryIndex = index;
+        updateGallery();
+    });
+}
+
+// Counter, active thumbnail and labels
+function updateGallery() {
+    document.getElementById('gallery-counter').textContent = t('gallery.counter', {
+        current: galleryIndex + 1,
+        total: galleryPhotos.length
+    });
+
+    document.querySelectorAll('.gallery-thumb').forEach((thumb, index) => {
+        const isActive = index === galleryIndex;
+        thumb.classList.toggle('active', isActive);
+        thumb.setAttribute('aria-label', t('gallery.thumb', { number: index + 1 }));
+        if (isActive) {
+            thumb.setAttribute('aria-current', 'true');
+            thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        } else {
+            thumb.removeAttribute('aria-current');
+        }
+    });
+}
+
+// Show photo by index (wraps around)
+function showGalleryPhoto(index) {
+    if (galleryPhotos.length < 2) return;
+
+    galleryIndex = (index + galleryPhotos.length) % galleryPhotos.length;
+    const modalPhoto = document.getElementById('modal-team-photo');
+    crossfadePhoto(modalPhoto, galleryPhotos[galleryIndex]);
+    syncPhotoRotation(modalPhoto, galleryIndex);
+    updateGallery();
+}
+
+// Previous / next photo
+function stepGallery(delta) {
+    showGalleryPhoto(galleryIndex + delta);
+}
+
+// Fullscreen state: Fullscreen API or the CSS fallback (iPhone Safari)
+function isGalleryFullscreen() {
+    const stage = document.getElementById('gallery-stage');
+    return document.fullscreenElement === stage || stage.classList.contains('fullscreen');
+}
+
+// Toggle fullscreen view of the photo
+function toggleGalleryFullscreen() {
+    const stage = document.getElementById('gallery-stage');
+
+    if (isGalleryFullscreen()) {
+        closeGalleryFullscreen();
+    } else if (stage.requestFullscreen) {
+        stage.requestFullscreen().catch(() => stage.classList.add('fullscreen'));
+    } else {
+        stage.classList.add('fullscreen');
     }
 }
 
-function handleDrop(e) {
-    e.preventDefault();
+// Leave fullscreen view
+function closeGalleryFullscreen() {
+    const stage = document.getElementById('gallery-stage');
 
-    if (e.currentTarget && e.currentTarget.classList) {
-        e.currentTarget.classList.remove('drag-over');
+    stage.classList.remove('fullscreen');
+    if (document.fullscreenElement === stage) {
+        document.exitFullscreen();
     }
+}
 
-    if (!draggedTask) return;
+// Setup gallery controls: buttons, swipes, hover pause
+function setupGallery() {
+    const gallery = document.getElementById('photo-gallery');
+    const stage = document.getElementById('gallery-stage');
+    const modalPhoto = document.getElementById('modal-team-photo');
 
-    const newColumnId = e.currentTarget.dataset.columnId;
-    const oldColumnId = draggedTask.columnId;
+    document.getElementById('gallery-prev').addEventListener('click', () => stepGallery(-1));
+    document.getElementById('gallery-next').addEventListener('click', () => stepGallery(1));
+    document.getElementById('gallery-fullscreen').addEventListener('click', toggleGalleryFullscreen);
+    modalPhoto.addEventListener('dblclick', toggleGalleryFullscreen);
+
+    // Pause rotation while the user looks at the photos
+    const pause = () => setPhotoRotationPaused(modalPhoto, true);
+    const resume = () => setPhotoRotationPaused(modalPhoto, false);
+    gallery.addEventListener('mouseenter', pause);
+    gallery.addEventListener('mouseleave', resume);
+
+    // Horizontal swipe changes photo
+    let swipeStartX = 0;
+    let swipeStartY = 0;
+    stage.addEventListener('touchstart', (e) => {
+        swipeStartX = e.touches[0].clientX;
+        swipeStartY = e.touches[0].clientY;
+    }, { passive: true });
+    stage.addEventListener('touchend', (e) => {
+        const deltaX = e.changedTouches[0].clientX - swipeStartX;
+        const deltaY = e.changedTouches[0].clientY - swipeStartY;
+        if (Math.abs(deltaX) > GALLERY_SWIPE_DISTANCE && Math.abs(deltaX) > Math.abs(deltaY)) {
+            stepGallery(deltaX < 0 ? 1 : -1);
+        }
+    }, { passive: true });
+}
 
-    moveTask(draggedTask.id, newColumnId, oldColumnId);
+// ============================================
+// TASK LINKS AND MODAL NAVIGATION
+// ============================================
+
+// Task ID from URL: #task-12 or ?task=12
+function getLinkedTaskId() {
+    const hashMatch = location.hash.match(TASK_HASH_PATTERN);
+    if (hashMatch) return Number(hashMatch[1]);
+
+    const param = new URLSearchParams(location.search).get(TASK_QUERY_PARAM);
+    return param && /^\d+$/.test(param) ? Number(param) : null;
 }
 
-// Touch handlers for mobile
-let touchStartX, touchStartY;
-let isDragging = false;
-let draggedElement = null;
-let initialScrollTop = 0; // Track initial scroll position
-let dragDirection = null; // Track if user is scrolling or dragging
-let lastColumnOver = null; // Track last column the dragged element was over
-let currentTouchEvent = null; // Store current touch event to prevent cancel
-let touchStartTime = 0; // Track when touch started
-let hasMoved = false; // Track if user moved finger
+// URL of the board page without task link. A default board opened from / gets ?board=
+function getBoardPageUrl() {
+    const params = new URLSearchParams(location.search);
+    params.delete(TASK_QUERY_PARAM);
+    if (currentBoard && getBoardSlug() === null) {
+        params.set('board', currentBoard.slug);
+    }
 
-// Detect iOS
-const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-              (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    const search = params.toString();
+    return location.pathname + (search ? `?${search}` : '');
+}
 
-// Helper function to clean up drag state
-function cleanupDragState() {
-    if (touchTimeout) {
-        clearTimeout(touchTimeout);
-        touchTimeout = null;
+// Open task modal from the link the page was opened with
+function openLinkedTask() {
+    const taskId = getLinkedTaskId();
+    if (taskId === null) return;
+
+    // Board URL goes under the modal, so "back" closes it and stays on the board
+    history.replaceState(null, '', getBoardPageUrl());
+
+    const task = tasks.find(t => t.id === taskId);
+    if (task) {
+        showTaskModal(task);
+    } else {
+        showNotice(t('task.notFound', { task: t('task.label', { id: taskId }) }), 'warning');
     }
-    if (draggedElement) {
-        draggedElement.classList.remove('dragging', 'touch-dragging');
-        draggedElement.style.position = '';
-        draggedElement.style.zIndex = '';
-        draggedElement.style.left = '';
-        draggedElement.style.top = '';
-        draggedElement.style.pointerEvents = '';
-        draggedElement.style.visibility = '';
-        draggedElement.style.transform = '';
-        draggedElement.style.width = '';
-        delete draggedElement.dataset.dragOffsetY;
+}
+
+// Put task link into the address bar. Switching tasks inside the modal replaces it
+function setTaskUrl(taskId, replace) {
+    const hash = `#task-${taskId}`;
+    if (location.hash === hash) return;
+
+    const url = getBoardPageUrl() + hash;
+    if (replace) {
+        history.replaceState({ taskModal: true }, '', url);
+    } else {
+        history.pushState({ taskModal: true }, '', url);
     }
-    isDragging = false;
-    draggedTask = null;
-    draggedElement = null;
-    dragDirection = null;
-    lastColumnOver = null;
-    currentTouchEvent = null;
-    touchStartTime = 0;
-    hasMoved = false;
-    document.querySelectorAll('.column-tasks').forEach(col => {
-        col.classList.remove('drag-over');
-    });
 }
 
-function handleTouchStart(e) {
-    const taskId = parseInt(e.currentTarget.dataset.taskId);
-    const task = tasks.find(t => t.id === taskId);
-    const element = e.currentTarget;
+// Remove task link after the modal was closed
+function clearTaskUrl() {
+    if (!TASK_HASH_PATTERN.test(location.hash)) return;
 
-    touchStartX = e.touches[0].clientX;
-    touchStartY = e.touches[0].clientY;
-    touchStartTime = Date.now();
-    hasMoved = false;
-    dragDirection = null;
-    currentTouchEvent = e; // Save event reference
+    if (history.state && history.state.taskModal) {
+        history.back();
+    } else {
+        history.replaceState(null, '', getBoardPageUrl());
+    }
+}
 
-    // Save initial scroll position of the column
-    const column = element.closest('.column-tasks');
-    if (column) {
-        initialScrollTop = column.scrollTop;
+// Browser back/forward: open or close the modal to match the URL
+function handleTaskHistory() {
+    const match = location.hash.match(TASK_HASH_PATTERN);
+    const task = match ? tasks.find(t => t.id === Number(match[1])) : null;
+
+    if (task) {
+        showTaskModal(task);
+    } else {
+        closeTaskModal();
     }
+}
 
-    // Shorter timeout for better responsiveness on Android
-    touchTimeout = setTimeout(() => {
-        if (!element || !task) return;
+// Tasks to walk through in the modal: same column or whole board, in board order
+function getModalNavTasks(task) {
+    if (modalNavScope === 'column') {
+        return tasks.filter(t => t.columnId === task.columnId);
+    }
+    return config.columns.flatMap(column => tasks.filter(t => t.columnId === column.id));
+}
 
-        // Don't activate drag yet, just mark as ready
-        // Drag will activate on first micro-move in handleTouchMove
-        draggedTask = task;
-        draggedElement = element;
+// Enable/disable previous and next buttons
+function updateModalNav(task) {
+    const list = getModalNavTasks(task);
+    const index = list.indexOf(task);
 
-        // Provide haptic feedback if available
-        if ('vibrate' in navigator) {
-            navigator.vibrate(50);
+    document.getElementById('modal-prev-task').disabled = index <= 0;
+    document.getElementById('modal-next-task').disabled = index === -1 || index >= list.length - 1;
+}
+
+// Show previous/next task in the modal
+function stepModalTask(direction) {
+    const task = tasks.find(t => t.id === modalTaskId);
+    if (!task) return;
+
+    const list = getModalNavTasks(task);
+    const next = list[list.indexOf(task) + direction];
+    if (next) {
+        showTaskModal(next);
+    }
+}
+
+// Setup previous/next controls of the modal
+function setupModalNav() {
+    const scope = document.getElementById('modal-nav-scope');
+
+    document.getElementById('modal-prev-task').addEventListener('click', () => stepModalTask(-1));
+    document.getElementById('modal-next-task').addEventListener('click', () => stepModalTask(1));
+
+    scope.value = modalNavScope;
+    scope.addEventListener('change', () => {
+        modalNavScope = scope.value;
+        const task = tasks.find(t => t.id === modalTaskId);
+        if (task) {
+            updateModalNav(task);
         }
+    });
 
-        // IMPORTANT: Clear timeout reference after it fires
-        touchTimeout = null;
+    window.addEventListener('popstate', handleTaskHistory);
+}
 
-    }, 150); // Shorter timeout - 150ms instead of 300ms
+// ============================================
+// PRESENTATION MODE (AUTOPLAY)
+// ============================================
+
+// Presentation is started from the link with ?present
+function isPresentationRequested() {
+    return new URLSearchParams(location.search).has(PRESENTATION_QUERY_PARAM);
 }
 
-function handleTouchMove(e) {
-    // CRITICAL: Always save current touch event for later preventDefault
-    if (e.touches && e.touches.length > 0) {
-        currentTouchEvent = e;
-    }
+// config.presentation over defaults. Order defaults to all columns
+function getPresentationSettings() {
+    const custom = config.presentation || {};
+    return {
+        ...PRESENTATION_DEFAULTS,
+        ...custom,
+        order: custom.order || config.columns.map(column => column.id)
+    };
+}
 
-    const touch = e.touches[0];
-    const moveX = Math.abs(touch.clientX - touchStartX);
-    const moveY = Math.abs(touch.clientY - touchStartY);
-    const totalMove = Math.sqrt(moveX * moveX + moveY * moveY);
+// Column after the task's one in presentation order, null at the end or off the route.
+// Final column always ends the route: moving out of it spawns a task instead
+function getPresentationNextColumn(task, order) {
+    if (getColumnById(task.columnId).isFinal) return null;
 
-    // Mark that user has moved
-    if (totalMove > 2) {
-        hasMoved = true;
+    const index = order.indexOf(task.columnId);
+    return index >= 0 && index < order.length - 1 ? order[index + 1] : null;
+}
+
+// Tasks still on the route, furthest first - so full columns are freed before tasks enter them
+function buildPresentationQueue(order) {
+    return tasks
+        .filter(task => getPresentationNextColumn(task, order) !== null)
+        .sort((a, b) => order.indexOf(b.columnId) - order.indexOf(a.columnId) || a.id - b.id)
+        .map(task => task.id);
+}
+
+// Next move: current task goes on, otherwise the next task from the queue.
+// Tasks blocked by workflow rules are skipped. Returns null when nothing can move
+function pickPresentationMove(settings) {
+    let rebuilt = false;
+
+    for (;;) {
+        const task = tasks.find(t => t.id === presentation.taskId);
+        const columnId = task ? getPresentationNextColumn(task, settings.order) : null;
+        if (columnId && !getMoveRejection(task, getColumnById(task.columnId), getColumnById(columnId))) {
+            return { task, columnId };
+        }
+
+        if (presentation.queue.length === 0) {
+            if (!settings.loop || rebuilt) return null;
+
+            presentation.queue = buildPresentationQueue(settings.order);
+            rebuilt = true;
+            if (presentation.queue.length === 0) return null;
+        }
+        presentation.taskId = presentation.queue.shift();
     }
+}
 
-    // NEW LOGIC: If timeout expired and we have task ready (draggedTask set but not isDragging yet)
-    // AND user moved finger - activate drag immediately with preventDefault to prevent touchcancel
-    if (!isDragging && draggedTask && draggedElement && hasMoved && !touchTimeout) {
-        // CRITICAL: Call preventDefault IMMEDIATELY to prevent touchcancel
-        e.preventDefault();
-        e.stopPropagation();
+// Start walking tasks through the columns
+function startPresentation() {
+    if (presentation) return;
+
+    const settings = getPresentationSettings();
+    presentation = {
+        queue: buildPresentationQueue(settings.order),
+        taskId: null,
+        timer: null,
+        resumeTimer: null,
+        paused: false,
+        wakeLock: null
+    };
 
-        isDragging = true;
+    PRESENTATION_INPUT_EVENTS.forEach(type => {
+        document.addEventListener(type, handlePresentationInput, { capture: true, passive: true });
+    });
+    requestPresentationWakeLock();
+    updatePresentationButton();
 
-        draggedElement.classList.add('touch-dragging');
-        draggedElement.style.position = 'fixed';
-        draggedElement.style.zIndex = '1000';
-        draggedElement.style.pointerEvents = 'none';
+    schedulePresentationStep(settings.stepInterval);
+}
 
-        // Position element at touch point immediately
-        const rect = draggedElement.getBoundingClientRect();
-        draggedElement.style.width = rect.width + 'px';
+// Stop presentation, the board stays as it is: every step was saved as a normal move
+function stopPresentation() {
+    if (!presentation) return;
 
-        // Position at current touch point
-        draggedElement.style.left = touch.clientX - rect.width / 2 + 'px';
-        draggedElement.style.top = touch.clientY - rect.height / 2 + 'px';
+    clearTimeout(presentation.timer);
+    clearTimeout(presentation.resumeTimer);
+    if (presentation.wakeLock) {
+        presentation.wakeLock.release().catch(() => {});
+    }
 
-        // Store offset as 0
-        draggedElement.dataset.dragOffsetY = '0';
+    PRESENTATION_INPUT_EVENTS.forEach(type => {
+        document.removeEventListener(type, handlePresentationInput, { capture: true });
+    });
+    presentation = null;
+    updatePresentationButton();
+    closeTaskModal();
+}
+
+// Run next step after delay
+function schedulePresentationStep(delay) {
+    clearTimeout(presentation.timer);
+    presentation.timer = setTimeout(runPresentationStep, delay);
+}
+
+// Move one task through moveTask() - effects, reassignment, greeting, undo history and saving as on drop -
+// and show its greeting
+function runPresentationStep() {
+    const settings = getPresentationSettings();
+    const move = pickPresentationMove(settings);
 
+    if (!move) {
+        stopPresentation();
+        showNotice(t('presentation.finished'), 'info');
         return;
     }
 
-    // Cancel long press if moved too much BEFORE timeout fires
-    if (touchTimeout && !isDragging && totalMove > 15) {
-        clearTimeout(touchTimeout);
-        touchTimeout = null;
-        draggedTask = null;
-        draggedElement = null;
+    moveTask(move.task.id, move.columnId, move.task.columnId);
+
+    if (settings.modalDuration === 0) {
+        schedulePresentationStep(settings.stepInterval);
         return;
     }
 
-    // If already dragging, handle drag movement
-    if (isDragging && draggedElement) {
-        // CRITICAL: Always preventDefault when dragging to prevent touchcancel
-        e.preventDefault();
-        e.stopPropagation();
+    showTaskModal(move.task, { confetti: false });
+    presentation.timer = setTimeout(() => {
+        closeTaskModal();
+        schedulePresentationStep(settings.stepInterval);
+    }, settings.modalDuration);
+}
+
+// Any user input pauses the presentation (the toggle button handles itself)
+function handlePresentationInput(e) {
+    if (e.target.closest && e.target.closest('#presentation-toggle')) return;
+    pausePresentation();
+}
+
+// Pause until resumed by the button, the notice or resumeAfter ms without input
+function pausePresentation() {
+    const { resumeAfter } = getPresentationSettings();
+
+    clearTimeout(presentation.timer);
+    clearTimeout(presentation.resumeTimer);
+    if (resumeAfter > 0) {
+        presentation.resumeTimer = setTimeout(resumePresentation, resumeAfter);
+    }
+
+    if (presentation.paused) return;
+
+    presentation.paused = true;
+    updatePresentationButton();
+    showNotice(t('presentation.paused'), 'info', {
+        duration: resumeAfter || CONFIG_UPDATE_NOTICE_DURATION,
+        key: 'presentation',
+        action: { label: t('presentation.resume'), onClick: resumePresentation }
+    });
+}
+
+// Continue after pause. A modal left open is closed first
+function resumePresentation() {
+    if (!presentation || !presentation.paused) return;
+
+    clearTimeout(presentation.resumeTimer);
+    presentation.paused = false;
+    updatePresentationButton();
+    showNotice(t('presentation.resumed'), 'info', { duration: 2000, key: 'presentation' });
+
+    closeTaskModal();
+    schedulePresentationStep(getPresentationSettings().stepInterval);
+}
+
+// Keep TV screen awake while presenting
+async function requestPresentationWakeLock() {
+    if (!presentation || !('wakeLock' in navigator)) return;
+
+    try {
+        presentation.wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+        // Battery saver or hidden page - screen may go to sleep
+    }
+}
+
+// Button label: start, stop or resume
+function updatePresentationButton() {
+    const button = document.getElementById('presentation-toggle');
+    if (!button) return;
+
+    let key = 'presentation.start';
+    if (presentation) {
+        key = presentation.paused ? 'presentation.resume' : 'presentation.stop';
+    }
+    button.textContent = t(key);
+    button.setAttribute('aria-pressed', String(Boolean(presentation) && !presentation.paused));
+}
+
+// Setup presentation button
+function setupPresentation() {
+    const button = document.getElementById('presentation-toggle');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        if (!presentation) {
+            startPresentation();
+        } else if (presentation.paused) {
+            resumePresentation();
+        } else {
+            stopPresentation();
+        }
+    });
+
+    // Wake lock is released when the page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            requestPresentationWakeLock();
+        }
+    });
+
+    updatePresentationButton();
+}
+
+// ============================================
+// SETTINGS (EFFECTS AND HAPTICS)
+// ============================================
+
+// Saved settings; effects follow prefers-reduced-motion until chosen in the menu
+function restoreSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved && EFFECT_MODES.includes(saved.effects)) {
+            settings.effects = saved.effects;
+        }
+        ['haptics', 'sound'].forEach(key => {
+            if (saved && typeof saved[key] === 'boolean') {
+                settings[key] = saved[key];
+            }
+        });
+    } catch (error) {
+        // Defaults
+    }
+    applySettings();
+}
+
+// Save settings to localStorage
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Settings are kept until reload
+    }
+}
+
+// System "reduce motion" preference
+function getReducedMotionQuery() {
+    return window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+}
+
+// Effective effects mode: on, reduced or off
+function getEffectsMode() {
+    if (settings.effects) return settings.effects;
+
+    const query = getReducedMotionQuery();
+    return query && query.matches ? 'reduced' : 'on';
+}
+
+// Expose mode to CSS: body[data-effects="reduced"]
+function applySettings() {
+    document.body.dataset.effects = getEffectsMode();
+}
+
+// Vibrate if haptics are enabled and supported
+function vibrate(pattern) {
+    if (settings.haptics && 'vibrate' in navigator) {
+        navigator.vibrate(pattern);
+    }
+}
+
+// Run library effect according to effects mode
+function runLibraryEffect(effectName, columnId) {
+    const effectFunction = EFFECTS_LIBRARY[effectName];
+    if (!effectFunction) return;
+
+    // Sound does not depend on effects mode, it has its own switch
+    playEffectSound(effectName, columnId);
+
+    const mode = getEffectsMode();
+    if (mode === 'off') return;
+
+    if (mode === 'reduced') {
+        showGentleEffect(columnId);
+    } else {
+        effectFunction(columnId);
+    }
+}
 
-        const offsetY = parseInt(draggedElement.dataset.dragOffsetY || '0');
+// Reduced mode substitute: soft highlight of the column, no movement
+function showGentleEffect(columnId) {
+    applyColumnEffect('gentle-effect', 1000)(columnId);
+}
 
-        // Always hide element to get proper element below (not just iOS)
-        draggedElement.style.visibility = 'hidden';
-        let elementBelow = document.elementFromPoint(touch.clientX, touch.clientY);
-        draggedElement.style.visibility = 'visible';
+// Setup settings menu in the header
+function setupSettingsMenu() {
+    const menu = document.getElementById('settings-menu');
+    if (!menu) return;
 
-        // Apply position with maintained offset
-        draggedElement.style.left = touch.clientX - draggedElement.offsetWidth / 2 + 'px';
-        draggedElement.style.top = (touch.clientY - draggedElement.offsetHeight / 2 - offsetY) + 'px';
+    const effectInputs = menu.querySelectorAll('input[name="effects-mode"]');
+    const hapticsToggle = document.getElementById('haptics-toggle');
+    const soundToggle = document.getElementById('sound-toggle');
 
-        // Highlight column under touch
-        document.querySelectorAll('.column-tasks').forEach(col => {
-            col.classList.remove('drag-over');
+    const updateInputs = () => {
+        const mode = getEffectsMode();
+        effectInputs.forEach(input => {
+            input.checked = input.value === mode;
         });
+        hapticsToggle.checked = settings.haptics;
+        soundToggle.checked = settings.sound;
+    };
 
-        if (elementBelow) {
-            const columnTasks = elementBelow.closest('.column-tasks');
-            if (columnTasks) {
-                columnTasks.classList.add('drag-over');
-                lastColumnOver = columnTasks; // Save last column
-            }
+    effectInputs.forEach(input => input.addEventListener('change', () => {
+        settings.effects = input.value;
+        saveSettings();
+        applySettings();
+        if (input.value !== 'on') {
+            clearParticles();
         }
-        return; // Important: don't fall through to scroll logic
+    }));
+
+    hapticsToggle.addEventListener('change', () => {
+        settings.haptics = hapticsToggle.checked;
+        saveSettings();
+    });
+
+    soundToggle.addEventListener('change', () => {
+        settings.sound = soundToggle.checked;
+        saveSettings();
+    });
+
+    // Follow system preference while nothing is chosen
+    const query = getReducedMotionQuery();
+    if (query && query.addEventListener) {
+        query.addEventListener('change', () => {
+            applySettings();
+            updateInputs();
+        });
     }
 
-    // If not dragging and no timeout, allow manual scrolling via touch move
-    if (!isDragging && !touchTimeout && !draggedTask) {
-        const column = e.currentTarget.closest('.column-tasks');
-        if (column && moveY > 5) {
-            const deltaY = touch.clientY - touchStartY;
-            column.scrollTop = initialScrollTop - deltaY;
+    // Close on click outside and on Escape
+    document.addEventListener('click', (e) => {
+        if (menu.open && !menu.contains(e.target)) {
+            menu.open = false;
         }
-    }
+    });
+    menu.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            menu.open = false;
+            menu.querySelector('summary').focus();
+        }
+    });
+
+    updateInputs();
 }
 
-function handleTouchEnd(e) {
-    clearTimeout(touchTimeout);
+// ============================================
+// SOUND EFFECTS (WEB AUDIO)
+// ============================================
 
-    if (isDragging && draggedTask && draggedElement) {
-        // Use the last column we were hovering over (most reliable)
-        let columnTasks = lastColumnOver;
+// Create audio context on the first user gesture - browsers block audio before it
+function setupSound() {
+    const gestures = ['pointerdown', 'keydown', 'touchstart'];
+    const unlock = () => {
+        gestures.forEach(type => document.removeEventListener(type, unlock, true));
 
-        // If we have a valid column, move the task
-        if (columnTasks && columnTasks.dataset.columnId) {
-            const newColumnId = columnTasks.dataset.columnId;
-            const oldColumnId = draggedTask.columnId;
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        try {
+            audioContext = new AudioContextClass();
+        } catch (error) {
+            // No sound
+        }
+    };
 
-            // Move task BEFORE cleanup
-            moveTask(draggedTask.id, newColumnId, oldColumnId);
+    gestures.forEach(type => document.addEventListener(type, unlock, true));
+}
+
+// One second of white noise, shared by noisy sounds
+function getNoiseBuffer() {
+    if (!noiseBuffer) {
+        noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
         }
     }
+    return noiseBuffer;
+}
 
-    // Clean up all drag state using helper function
-    cleanupDragState();
+// Gain node with a short attack and exponential decay
+function createEnvelope(start, peak, duration) {
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    gain.connect(audioContext.destination);
+    return gain;
 }
 
-// Move task logic
-function moveTask(taskId, newColumnId, oldColumnId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
+// Oscillator with pitch glide from one frequency to another
+function playTone(type, fromFrequency, toFrequency, start, duration, peak) {
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(fromFrequency, start);
+    oscillator.frequency.exponentialRampToValueAtTime(toFrequency, start + duration);
+    oscillator.connect(createEnvelope(start, peak, duration));
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+}
 
-    const oldColumn = getColumnById(oldColumnId);
-    const newColumn = getColumnById(newColumnId);
+// Filtered noise burst
+function playNoise(filterType, fromFrequency, toFrequency, start, duration, peak) {
+    const source = audioContext.createBufferSource();
+    source.buffer = getNoiseBuffer();
 
-    // Check if moving from Production (final state)
-    if (oldColumn.isFinal) {
-        // Create new task in backlog instead
-        createNewTaskInBacklog();
-        showConfetti();
-        return;
-    }
+    const filter = audioContext.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(fromFrequency, start);
+    filter.frequency.exponentialRampToValueAtTime(toFrequency, start + duration);
 
-    // Update task
-    task.columnId = newColumnId;
+    source.connect(filter);
+    filter.connect(createEnvelope(start, peak, duration));
+    source.start(start);
+    source.stop(start + duration);
+}
 
-    // Update assignee based on column rules
-    const assignees = newColumn.assignees || [];
-    let selectedTeam;
-    if (newColumn.assigneeMode === 'random' || assignees.length === 0) {
-        selectedTeam = getRandomTeam();
-        task.teamId = selectedTeam.id;
-    } else if (assignees.length === 1) {
-        task.teamId = assignees[0];
-        selectedTeam = getTeamById(task.teamId);
-    } else {
-        // Random from specified assignees
-        task.teamId = assignees[Math.floor(Math.random() * assignees.length)];
-        selectedTeam = getTeamById(task.teamId);
-    }
+// Synthesized sounds: function(startTime)
+const SOUND_LIBRARY = {
+    'pop': (start) => playTone('sine', 700, 180, start, 0.15, 0.3),
+    'whoosh': (start) => playNoise('bandpass', 300, 2500, start, 0.45, 0.25),
+    'crackle': (start) => {
+        for (let i = 0; i < 14; i++) {
+            playNoise('highpass', 2000, 4000, start + Math.random() * 0.8, 0.03, 0.2);
+        }
+    },
+    'buzz': (start) => {
+        playTone('sawtooth', 110, 90, start, 0.3, 0.12);
+        playTone('square', 55, 50, start, 0.3, 0.06);
+    },
+    'chime': (start) => {
+        playTone('sine', 880, 880, start, 0.8, 0.15);
+        playTone('sine', 1320, 1320, start + 0.05, 0.7, 0.08);
+    },
+    'boing': (start) => playTone('triangle', 150, 450, start, 0.3, 0.25),
+    'thump': (start) => playTone('sine', 140, 45, start, 0.25, 0.4)
+};
 
-    // Select random project for the new team
-    const randomProject = getRandomProject(selectedTeam);
-    task.projectIndex = randomProject ? selectedTeam.projects.indexOf(randomProject) : 0;
+const SOUND_NAMES = Object.keys(SOUND_LIBRARY);
+
+// Default sound of every built-in effect
+const EFFECT_SOUNDS = {
+    'shake': 'thump',
+    'pulse': 'thump',
+    'glow': 'chime',
+    'glitch': 'buzz',
+    'bounce': 'boing',
+    'rotate': 'whoosh',
+    'flash': 'pop',
+    'rainbow': 'chime',
+    'zoom': 'whoosh',
+    'slide': 'whoosh',
+    'fade': 'whoosh',
+    'wave': 'whoosh',
+    'ripple': 'chime',
+    'spin': 'whoosh',
+    'swing': 'whoosh',
+    'jello': 'boing',
+    'wobble': 'boing',
+    'tada': 'chime',
+    'flip': 'whoosh',
+    'rubber-band': 'boing',
+    'heartbeat': 'thump',
+    'neon-glow': 'buzz',
+    'confetti': 'pop',
+    'checkmarks': 'pop',
+    'sparkles': 'chime',
+    'hearts': 'chime',
+    'stars': 'chime',
+    'bubbles': 'pop',
+    'snow': 'chime',
+    'lightning': 'buzz',
+    'fireworks': 'crackle'
+};
 
-    // Update description
-    task.description = getGreetingForTask(newColumnId, task.teamId);
+// Play sound by name (nothing before the first gesture, when muted or for unknown names)
+function playSound(soundName) {
+    if (!settings.sound || !audioContext || !SOUND_LIBRARY[soundName]) return;
 
-    // Show effects based on column
-    if (newColumn.isFinal) {
-        // Production - confetti + new task
-        showConfetti();
-        createNewTaskInBacklog();
-    } else {
-        // Other columns - specific effects
-        showEffectForColumn(newColumnId);
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
     }
-
-    // Re-render
-    renderTasks();
+    SOUND_LIBRARY[soundName](audioContext.currentTime);
 }
 
-// Create new task in backlog
-function createNewTaskInBacklog() {
-    const backlogColumn = config.columns.find(c => c.id === 'backlog');
-    if (!backlogColumn) return;
+// Sound of library effect: config.effects may set its own, built-ins use EFFECT_SOUNDS
+function getEffectSoundName(effectName) {
+    const effect = EFFECTS_LIBRARY[effectName];
+    if (effect && effect.sound !== undefined) return effect.sound;
+    return EFFECT_SOUNDS[effectName] || null;
+}
 
-    const randomTeam = getRandomTeam();
-    const randomProject = getRandomProject(randomTeam);
-    const projectIndex = randomProject ? randomTeam.projects.indexOf(randomProject) : 0;
+// Sound for effect played in a column. A column with its own sound plays it once per move instead
+function playEffectSound(effectName, columnId) {
+    const column = getColumnById(columnId);
+    if (column && column.sound !== undefined) return;
 
-    const newTask = {
-        id: nextTaskId++,
-        columnId: 'backlog',
-        teamId: randomTeam.id,
-        projectIndex: projectIndex,
-        description: getGreetingForTask('backlog', randomTeam.id)
-    };
+    playSound(getEffectSoundName(effectName));
+}
 
-    tasks.push(newTask);
-    renderTasks();
+// Column sound override from config.json ("sound": name, null - silence)
+function playColumnSound(columnId) {
+    const column = getColumnById(columnId);
+    if (column && column.sound) {
+        playSound(column.sound);
+    }
 }
 
-// Show task modal
-function showTaskModal(task) {
-    const team = getTeamById(task.teamId);
-    const column = getColumnById(task.columnId);
-    const project = getProjectByIndex(team, task.projectIndex || 0);
-    const photos = project && project.photos ? project.photos : [];
-    const projectName = project ? project.name : team.name;
+// ============================================
+// PARTICLE ENGINE
+// ============================================
+// All particle effects are drawn on one full-screen canvas by a single
+// requestAnimationFrame loop instead of DOM nodes with their own timers.
+
+const PARTICLE_LIMIT = 300; // Live particles on screen at most
+const FRAME_BUDGET_MS = 20; // Slower average frame thins out new particles
+const MIN_PARTICLE_DENSITY = 0.25;
+
+let particleCanvas = null;
+let particleContext = null;
+let liveParticles = [];
+let queuedParticles = []; // { spawnAt, particle } - staggered spawns
+let particleFrameRequest = null;
+let lastParticleFrameTime = 0;
+let averageFrameTime = 0;
+let particleDensity = 1; // Share of new particles that are actually spawned
+let pendingEffectTimers = new Set(); // Delayed effects (sequence steps)
+
+// Timing functions of the former CSS animations
+const PARTICLE_EASINGS = {
+    linear: p => p,
+    easeOut: p => p * (2 - p),
+    easeInOut: p => (p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2)
+};
 
-    const modal = document.getElementById('task-modal');
-    const modalPhoto = document.getElementById('modal-team-photo');
+// Keyframe of a particle animation: offset from start, scale, rotation (deg), opacity
+function particleKeyframe(t, x, y, scale, rotate, opacity) {
+    return { t, x, y, scale, rotate, opacity };
+}
 
-    modalPhoto.src = photos[0] || 'data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2224%22 height=%2224%22%3E%3Crect width=%2224%22 height=%2224%22 fill=%22%23ccc%22/%3E%3C/svg%3E';
-    document.getElementById('modal-team-name').textContent = `${team.name} - ${projectName}`;
-    document.getElementById('modal-description').textContent = task.description;
-    document.getElementById('modal-status').textContent = column.title;
-    document.getElementById('modal-status').style.background = team.color;
+// Looks and animations of showParticleEffect() particles
+const PARTICLE_STYLES = {
+    checkmark: {
+        size: 32, color: '#48bb78', bold: true, easing: 'easeOut',
+        frames: (tx, ty) => [
+            particleKeyframe(0, 0, 0, 0, 0, 1),
+            particleKeyframe(0.5, tx, ty, 1.5, 180, 1),
+            particleKeyframe(1, tx, ty, 0, 360, 0)
+        ]
+    },
+    sparkle: {
+        size: 24, easing: 'easeOut',
+        frames: (tx, ty) => [
+            particleKeyframe(0, 0, 0, 0, 0, 1),
+            particleKeyframe(0.5, tx, ty, 1, 180, 1),
+            particleKeyframe(1, tx, ty, 0, 360, 0)
+        ]
+    },
+    heart: {
+        size: 32, color: '#ff69b4', easing: 'easeOut',
+        frames: () => [
+            particleKeyframe(0, 0, 0, 0, 0, 1),
+            particleKeyframe(0.5, 0, -100, 1, 0, 1),
+            particleKeyframe(1, 0, -200, 0, 0, 0)
+        ]
+    },
+    star: {
+        size: 24, color: '#ffd700', easing: 'easeOut',
+        frames: (tx, ty) => [
+            particleKeyframe(0, 0, 0, 0, 0, 1),
+            particleKeyframe(1, tx, ty, 1.5, 720, 0)
+        ]
+    },
+    snowflake: {
+        size: 24, color: '#e0f7ff', easing: 'linear',
+        frames: () => [
+            particleKeyframe(0, 0, 0, 1, 0, 1),
+            particleKeyframe(1, 0, 300, 1, 360, 0)
+        ]
+    }
+};
 
-    modal.classList.add('show');
+// Canvas context, created on first use and resized with the window
+function getParticleContext() {
+    if (!particleCanvas) {
+        particleCanvas = document.getElementById('effect-canvas');
+        particleContext = particleCanvas && particleCanvas.getContext ? particleCanvas.getContext('2d') : null;
+        if (!particleContext) return null;
 
-    // Start photo rotation in modal if there are multiple photos
-    if (photos.length > 1) {
-        startModalPhotoRotation(photos);
+        resizeParticleCanvas();
+        window.addEventListener('resize', resizeParticleCanvas);
     }
+    return particleContext;
+}
+
+// Match canvas to viewport and pixel density
+function resizeParticleCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    particleCanvas.width = window.innerWidth * ratio;
+    particleCanvas.height = window.innerHeight * ratio;
+    particleContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+// Add particle after delay (ms). Particle: { x, y, duration, lifetime?, easing, frames, draw }
+function emitParticle(particle, delay = 0) {
+    if (!getParticleContext()) return;
 
-    // Show confetti if production
-    if (column.isFinal) {
-        showConfetti();
+    queuedParticles.push({ spawnAt: performance.now() + delay, particle });
+    if (!particleFrameRequest) {
+        particleFrameRequest = requestAnimationFrame(renderParticles);
     }
 }
 
-// Start photo rotation for modal
-function startModalPhotoRotation(photos) {
-    // Stop existing interval if any
-    stopModalPhotoRotation();
+// Run effect step later; cancelled together with particles when the tab is hidden
+function scheduleEffect(callback, delay) {
+    const timer = setTimeout(() => {
+        pendingEffectTimers.delete(timer);
+        callback();
+    }, delay);
+    pendingEffectTimers.add(timer);
+}
+
+// Track frame time and lower density while frames are over budget
+function updateParticleDensity(frameTime) {
+    averageFrameTime = averageFrameTime ? averageFrameTime * 0.9 + frameTime * 0.1 : frameTime;
 
-    let currentPhotoIndex = 0;
+    if (averageFrameTime > FRAME_BUDGET_MS) {
+        particleDensity = Math.max(MIN_PARTICLE_DENSITY, particleDensity * 0.95);
+    } else {
+        particleDensity = Math.min(1, particleDensity + 0.02);
+    }
+}
 
-    // Create interval to rotate photos every second
-    modalPhotoInterval = setInterval(() => {
-        currentPhotoIndex = (currentPhotoIndex + 1) % photos.length;
+// Interpolated keyframe values at progress 0..1
+function getParticleState(particle, progress) {
+    const frames = particle.frames;
+    let i = 1;
+    while (i < frames.length - 1 && progress > frames[i].t) i++;
 
-        const modalPhoto = document.getElementById('modal-team-photo');
-        if (modalPhoto) {
-            modalPhoto.src = photos[currentPhotoIndex];
-        }
-    }, 1000); // Change every 1 second
+    const from = frames[i - 1];
+    const to = frames[i];
+    const local = Math.min(1, Math.max(0, (progress - from.t) / ((to.t - from.t) || 1)));
+    const eased = PARTICLE_EASINGS[particle.easing || 'linear'](local);
+    const mix = key => from[key] + (to[key] - from[key]) * eased;
+
+    return { x: mix('x'), y: mix('y'), scale: mix('scale'), rotate: mix('rotate'), opacity: mix('opacity') };
 }
 
-// Stop modal photo rotation
-function stopModalPhotoRotation() {
-    if (modalPhotoInterval) {
-        clearInterval(modalPhotoInterval);
-        modalPhotoInterval = null;
+// Draw one particle shape centered at the origin
+function drawParticleShape(ctx, draw) {
+    switch (draw.kind) {
+        case 'text':
+            ctx.font = `${draw.bold ? 'bold ' : ''}${draw.size}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = draw.color || '#000';
+            ctx.fillText(draw.symbol, 0, 0);
+            break;
+        case 'rect':
+            ctx.fillStyle = draw.color;
+            ctx.fillRect(-draw.size / 2, -draw.size / 2, draw.size, draw.size);
+            break;
+        case 'circle':
+            ctx.fillStyle = draw.color;
+            ctx.beginPath();
+            ctx.arc(0, 0, draw.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        case 'bubble': {
+            const radius = draw.size / 2;
+            const gradient = ctx.createRadialGradient(-radius * 0.4, -radius * 0.4, 0, 0, 0, radius);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+            gradient.addColorStop(1, 'rgba(102, 126, 234, 0.4)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(0, 0, radius, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        }
+        case 'lightning': {
+            const gradient = ctx.createLinearGradient(0, 0, 0, 100);
+            gradient.addColorStop(0, '#fff');
+            gradient.addColorStop(0.5, '#ffd700');
+            gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+            ctx.shadowColor = '#ffd700';
+            ctx.shadowBlur = 10;
+            ctx.fillStyle = gradient;
+            ctx.fillRect(-1, 0, 2, 100);
+            break;
+        }
     }
 }
 
-// Setup modal
-function setupModal() {
-    const modal = document.getElementById('task-modal');
-    const closeBtn = document.getElementById('close-modal');
-
-    closeBtn.addEventListener('click', () => {
-        modal.classList.remove('show');
-        stopModalPhotoRotation();
-    });
+// Animation frame: spawn due particles, draw live ones, stop when idle
+function renderParticles(now) {
+    particleFrameRequest = null;
+    if (lastParticleFrameTime) {
+        updateParticleDensity(now - lastParticleFrameTime);
+    }
+    lastParticleFrameTime = now;
 
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.classList.remove('show');
-            stopModalPhotoRotation();
+    queuedParticles = queuedParticles.filter(({ spawnAt, particle }) => {
+        if (spawnAt > now) return true;
+        if (liveParticles.length < PARTICLE_LIMIT && Math.random() < particleDensity) {
+            liveParticles.push({ ...particle, born: now });
         }
+        return false;
     });
 
-    // Close on Escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal.classList.contains('show')) {
-            modal.classList.remove('show');
-            stopModalPhotoRotation();
-        }
+    const ctx = particleContext;
+    ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+    liveParticles = liveParticles.filter(particle => now - particle.born < (particle.lifetime || particle.duration));
+    liveParticles.forEach(particle => {
+        const state = getParticleState(particle, (now - particle.born) / particle.duration);
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, Math.min(1, state.opacity));
+        ctx.translate(particle.x + state.x, particle.y + state.y);
+        ctx.rotate(state.rotate * Math.PI / 180);
+        ctx.scale(state.scale, state.scale);
+        drawParticleShape(ctx, particle.draw);
+        ctx.restore();
     });
+
+    if (liveParticles.length > 0 || queuedParticles.length > 0) {
+        particleFrameRequest = requestAnimationFrame(renderParticles);
+    } else {
+        lastParticleFrameTime = 0;
+    }
 }
 
-// Show confetti animation
-function showConfetti() {
-    const container = document.getElementById('confetti-container');
-    const colors = ['#667eea', '#764ba2', '#48bb78', '#ed8936', '#f56565', '#ffd700'];
+// Drop all particles and pending effects (tab hidden)
+function clearParticles() {
+    if (particleFrameRequest) {
+        cancelAnimationFrame(particleFrameRequest);
+        particleFrameRequest = null;
+    }
+    pendingEffectTimers.forEach(timer => clearTimeout(timer));
+    pendingEffectTimers.clear();
+
+    liveParticles = [];
+    queuedParticles = [];
+    lastParticleFrameTime = 0;
+    if (particleContext) {
+        particleContext.clearRect(0, 0, window.innerWidth, window.innerHeight);
+    }
+}
 
-    for (let i = 0; i < 50; i++) {
-        setTimeout(() => {
-            const confetti = document.createElement('div');
-            confetti.className = 'confetti';
-            confetti.style.left = Math.random() * 100 + '%';
-            confetti.style.background = colors[Math.floor(Math.random() * colors.length)];
-            confetti.style.animationDelay = Math.random() * 0.5 + 's';
-            confetti.style.animationDuration = (Math.random() * 2 + 2) + 's';
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        clearParticles();
+    }
+});
+
+// Show confetti (respects effects mode)
+function showConfetti(columnId) {
+    playColumnSound(columnId);
+    runLibraryEffect('confetti', columnId);
+}
 
-            container.appendChild(confetti);
+// Confetti particles
+function showConfettiParticles() {
+    const colors = ['#667eea', '#764ba2', '#48bb78', '#ed8936', '#f56565', '#ffd700'];
 
-            setTimeout(() => confetti.remove(), 3000);
-        }, i * 30);
+    for (let i = 0; i < 50; i++) {
+        const delay = Math.random() * 500;
+
+        emitParticle({
+            x: Math.random() * window.innerWidth,
+            y: 0,
+            duration: 2000 + Math.random() * 2000,
+            lifetime: 3000 - delay,
+            easing: 'linear',
+            frames: [particleKeyframe(0, 0, 0, 1, 0, 1), particleKeyframe(1, 0, window.innerHeight, 1, 360, 0)],
+            draw: { kind: 'rect', size: 10, color: colors[Math.floor(Math.random() * colors.length)] }
+        }, i * 30 + delay);
     }
 }
 
@@ -800,174 +5094,371 @@ const EFFECTS_LIBRARY = {
     'neon-glow': applyColumnEffect('neon-glow-effect', 1000),
 
     // Particle effects (create animated particles)
-    'confetti': showConfetti,
-    'checkmarks': () => showParticleEffect('✓', 'checkmark', 15, 1000),
-    'sparkles': () => showParticleEffect('✨', 'sparkle', 20, 1000),
-    'hearts': () => showParticleEffect('❤️', 'heart', 12, 2000),
-    'stars': () => showParticleEffect('⭐', 'star', 15, 1500),
-    'bubbles': () => showBubblesEffect(),
-    'snow': () => showParticleEffect('❄️', 'snowflake', 20, 3000),
-    'lightning': () => showLightningEffect(),
-    'fireworks': () => showFireworksEffect()
+    // Total time is the last particle's delay plus its animation
+    'confetti': particleEffect(showConfettiParticles, 4500),
+    'checkmarks': particleEffect(() => showParticleEffect('✓', 'checkmark', 15, 1000), 1700),
+    'sparkles': particleEffect(() => showParticleEffect('✨', 'sparkle', 20, 1000), 1950),
+    'hearts': particleEffect(() => showParticleEffect('❤️', 'heart', 12, 2000), 2550),
+    'stars': particleEffect(() => showParticleEffect('⭐', 'star', 15, 1500), 2200),
+    'bubbles': particleEffect(() => showBubblesEffect(), 4400),
+    'snow': particleEffect(() => showParticleEffect('❄️', 'snowflake', 20, 3000), 3950),
+    'lightning': particleEffect(() => showLightningEffect(), 700),
+    'fireworks': particleEffect(() => showFireworksEffect(), 1600)
 };
 
-// List of all available effects for random selection
-const ALL_EFFECTS = Object.keys(EFFECTS_LIBRARY);
+// Effects built into this file - config.effects are registered on top of them
+const BUILT_IN_EFFECT_NAMES = Object.keys(EFFECTS_LIBRARY);
+
+// Categories for random pools: column animations and particles (config effects are particles)
+const EFFECT_CATEGORIES = ['column', 'particles'];
+
+// Keys of composite effects, cannot be used as effect names
+const EFFECT_RESERVED_NAMES = ['random', 'sequence', 'combo', 'interval', 'categories', 'exclude'];
+
+// Default pause between steps of a sequence, ms
+const EFFECT_SEQUENCE_INTERVAL = 400;
 
 // Helper: Create a function that applies CSS class to column
 function applyColumnEffect(className, duration) {
-    return function(columnId) {
+    const effect = function(columnId) {
         const column = document.querySelector(`.column-tasks[data-column-id="${columnId}"]`);
         if (!column) return;
 
         column.classList.add(className);
         setTimeout(() => column.classList.remove(className), duration);
     };
+    effect.category = 'column';
+    effect.className = className;
+    effect.duration = duration;
+    return effect;
 }
 
 // Helper: Apply effect with vibration
 function applyColumnEffectWithVibration(className, duration) {
-    return function(columnId) {
+    const effect = function(columnId) {
         const column = document.querySelector(`.column-tasks[data-column-id="${columnId}"]`);
         if (!column) return;
 
         column.classList.add(className);
 
         // Haptic feedback if available
-        if ('vibrate' in navigator) {
-            navigator.vibrate([50, 50, 50]);
-        }
+        vibrate([50, 50, 50]);
 
         setTimeout(() => column.classList.remove(className), duration);
     };
+    effect.category = 'column';
+    effect.className = className;
+    effect.duration = duration;
+    return effect;
 }
 
-// Generic particle effect
-function showParticleEffect(symbol, className, count, duration) {
-    const container = document.getElementById('effect-container');
-
-    for (let i = 0; i < count; i++) {
-        setTimeout(() => {
-            const particle = document.createElement('div');
-            particle.className = `particle ${className}`;
-            particle.textContent = symbol;
-
-            // Random starting position
-            const startX = Math.random() * window.innerWidth;
-            const startY = Math.random() * window.innerHeight;
-
-            // Random direction
-            const tx = (Math.random() - 0.5) * 200;
-            const ty = (Math.random() - 0.5) * 200;
-
-            particle.style.left = startX + 'px';
-            particle.style.top = startY + 'px';
-            particle.style.setProperty('--tx', tx + 'px');
-            particle.style.setProperty('--ty', ty + 'px');
+// Helper: Mark function as particle effect lasting `duration` ms
+function particleEffect(effect, duration) {
+    effect.category = 'particles';
+    effect.duration = duration;
+    return effect;
+}
 
-            container.appendChild(particle);
+// Generic particle effect, style is a key of PARTICLE_STYLES
+function showParticleEffect(symbol, style, count, duration) {
+    const { size, color, bold, easing, frames } = PARTICLE_STYLES[style];
 
-            setTimeout(() => particle.remove(), duration);
+    for (let i = 0; i < count; i++) {
+        // Random direction
+        const tx = (Math.random() - 0.5) * 200;
+        const ty = (Math.random() - 0.5) * 200;
+
+        emitParticle({
+            x: Math.random() * window.innerWidth,
+            y: Math.random() * window.innerHeight,
+            duration,
+            easing,
+            frames: frames(tx, ty),
+            draw: { kind: 'text', symbol, size, color, bold }
         }, i * 50);
     }
 }
 
 // Bubbles effect
 function showBubblesEffect() {
-    const container = document.getElementById('effect-container');
-
     for (let i = 0; i < 15; i++) {
-        setTimeout(() => {
-            const bubble = document.createElement('div');
-            bubble.className = 'particle bubble';
-
-            const startX = Math.random() * window.innerWidth;
-            const drift = (Math.random() - 0.5) * 100;
-
-            bubble.style.left = startX + 'px';
-            bubble.style.top = window.innerHeight + 'px';
-            bubble.style.setProperty('--drift', drift + 'px');
-
-            container.appendChild(bubble);
-
-            setTimeout(() => bubble.remove(), 3000);
+        const drift = (Math.random() - 0.5) * 100;
+
+        emitParticle({
+            x: Math.random() * window.innerWidth,
+            y: window.innerHeight,
+            duration: 3000,
+            easing: 'easeOut',
+            frames: [
+                particleKeyframe(0, 0, 0, 0, 0, 0.8),
+                particleKeyframe(0.5, drift / 2, -150, 0.5, 0, 0.6),
+                particleKeyframe(1, drift, -300, 1, 0, 0)
+            ],
+            draw: { kind: 'bubble', size: 20 }
         }, i * 100);
     }
 }
 
 // Lightning effect
 function showLightningEffect() {
-    const container = document.getElementById('effect-container');
-
     for (let i = 0; i < 5; i++) {
-        setTimeout(() => {
-            const lightning = document.createElement('div');
-            lightning.className = 'lightning';
-            lightning.style.left = Math.random() * window.innerWidth + 'px';
-            lightning.style.top = '0px';
-
-            container.appendChild(lightning);
-
-            setTimeout(() => lightning.remove(), 300);
+        emitParticle({
+            x: Math.random() * window.innerWidth,
+            y: 0,
+            duration: 300,
+            easing: 'easeOut',
+            frames: [
+                particleKeyframe(0, 0, 0, 1, 0, 0),
+                particleKeyframe(0.5, 0, 0, 1, 0, 1),
+                particleKeyframe(1, 0, 0, 1, 0, 0)
+            ],
+            draw: { kind: 'lightning' }
         }, i * 100);
     }
 }
 
 // Fireworks effect
 function showFireworksEffect() {
-    const container = document.getElementById('effect-container');
     const colors = ['#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff', '#00ffff', '#ffd700'];
 
     for (let burst = 0; burst < 3; burst++) {
-        setTimeout(() => {
-            const centerX = Math.random() * window.innerWidth;
-            const centerY = Math.random() * (window.innerHeight / 2);
+        const centerX = Math.random() * window.innerWidth;
+        const centerY = Math.random() * (window.innerHeight / 2);
+
+        for (let i = 0; i < 20; i++) {
+            const angle = (Math.PI * 2 * i) / 20;
+            const velocity = 50 + Math.random() * 50;
+
+            emitParticle({
+                x: centerX,
+                y: centerY,
+                duration: 1000,
+                easing: 'easeOut',
+                frames: [
+                    particleKeyframe(0, 0, 0, 1, 0, 1),
+                    particleKeyframe(1, Math.cos(angle) * velocity, Math.sin(angle) * velocity, 1, 0, 0)
+                ],
+                draw: { kind: 'circle', size: 4, color: colors[Math.floor(Math.random() * colors.length)] }
+            }, burst * 300);
+        }
+    }
+}
+
+// ============================================
+// CUSTOM EFFECTS (config.effects)
+// ============================================
 
-            for (let i = 0; i < 20; i++) {
-                const particle = document.createElement('div');
-                particle.className = 'firework-particle';
-                particle.style.background = colors[Math.floor(Math.random() * colors.length)];
-                particle.style.left = centerX + 'px';
-                particle.style.top = centerY + 'px';
+// Motions of config particle effects and where their particles start by default
+const CUSTOM_EFFECT_MOTIONS = {
+    burst: 'screen',
+    rise: 'bottom',
+    fall: 'top',
+    drift: 'left'
+};
+const CUSTOM_EFFECT_AREAS = ['screen', 'top', 'bottom', 'left', 'center', 'column'];
+let customEffectNames = []; // Effects registered from the current config
 
-                const angle = (Math.PI * 2 * i) / 20;
-                const velocity = 50 + Math.random() * 50;
-                const tx = Math.cos(angle) * velocity;
-                const ty = Math.sin(angle) * velocity;
+// Register config.effects into EFFECTS_LIBRARY, replacing the previous config's effects
+function registerCustomEffects(cfg) {
+    customEffectNames.forEach(name => {
+        delete EFFECTS_LIBRARY[name];
+    });
 
-                particle.style.setProperty('--tx', tx + 'px');
-                particle.style.setProperty('--ty', ty + 'px');
+    customEffectNames = Object.keys(cfg.effects || {});
+    customEffectNames.forEach(name => {
+        EFFECTS_LIBRARY[name] = createCustomEffect(cfg.effects[name]);
+    });
+}
 
-                container.appendChild(particle);
+// Effect function from a declarative definition
+function createCustomEffect(definition) {
+    const effect = function(columnId) {
+        if (definition.columnAnimation) {
+            EFFECTS_LIBRARY[definition.columnAnimation](columnId);
+        }
+        showCustomParticles(definition, columnId);
+    };
+    effect.sound = definition.sound !== undefined ? definition.sound : 'pop';
+    effect.category = 'particles';
+    effect.columnAnimation = definition.columnAnimation || null;
+    effect.duration = ((definition.count || 15) - 1) * 50 + (definition.duration || 1500);
+    return effect;
+}
 
-                setTimeout(() => particle.remove(), 1000);
+// Random start point inside spawn area
+function getCustomParticleStart(area, columnId) {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    switch (area) {
+        case 'top':
+            return { x: Math.random() * width, y: -40 };
+        case 'bottom':
+            return { x: Math.random() * width, y: height };
+        case 'left':
+            return { x: -40, y: Math.random() * height };
+        case 'center':
+            return { x: width / 2 + (Math.random() - 0.5) * 40, y: height / 2 + (Math.random() - 0.5) * 40 };
+        case 'column': {
+            const column = document.querySelector(`.column-tasks[data-column-id="${columnId}"]`);
+            if (column) {
+                const rect = column.getBoundingClientRect();
+                return { x: rect.left + Math.random() * rect.width, y: rect.top + Math.random() * rect.height };
             }
-        }, burst * 300);
+            return { x: Math.random() * width, y: Math.random() * height };
+        }
+        default:
+            return { x: Math.random() * width, y: Math.random() * height };
     }
 }
 
-// Main function to show effect for a column
-function showEffectForColumn(columnId) {
-    const column = getColumnById(columnId);
-    if (!column || !column.effect) return;
+// Particle travel for motion pattern
+function getCustomParticleTravel(motion) {
+    const height = window.innerHeight;
+    const side = (Math.random() - 0.5) * 100;
+
+    switch (motion) {
+        case 'rise':
+            return { tx: side, ty: -(height * (0.5 + Math.random() * 0.5)) };
+        case 'fall':
+            return { tx: side, ty: height * (0.6 + Math.random() * 0.5) };
+        case 'drift':
+            return { tx: window.innerWidth * (0.3 + Math.random() * 0.4), ty: side };
+        default: {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = 80 + Math.random() * 120;
+            return { tx: Math.cos(angle) * distance, ty: Math.sin(angle) * distance };
+        }
+    }
+}
+
+// Keyframes of a config particle for motion pattern
+function getCustomParticleFrames(motion, { tx, ty }) {
+    switch (motion) {
+        case 'rise':
+        case 'fall':
+            return [
+                particleKeyframe(0, 0, 0, 1, 0, 1),
+                particleKeyframe(0.8, tx * 0.8, ty * 0.8, 1, 288, 1),
+                particleKeyframe(1, tx, ty, 1, 360, 0)
+            ];
+        case 'drift':
+            return [
+                particleKeyframe(0, 0, 0, 1, 0, 0),
+                particleKeyframe(0.2, tx * 0.2, -ty * 0.4, 1, 0, 1),
+                particleKeyframe(0.5, tx / 2, -ty, 1, 0, 1),
+                particleKeyframe(0.8, tx * 0.8, ty * 0.2, 1, 0, 1),
+                particleKeyframe(1, tx, ty, 1, 0, 0)
+            ];
+        default:
+            return [
+                particleKeyframe(0, 0, 0, 0, 0, 1),
+                particleKeyframe(0.5, tx, ty, 1, 0, 1),
+                particleKeyframe(1, tx, ty, 0, 0, 0)
+            ];
+    }
+}
 
-    let effectName = column.effect;
+// Particles of a config effect: emoji from "particles" or colored dots from "colors"
+function showCustomParticles(definition, columnId) {
+    const motion = definition.motion || 'burst';
+    const area = definition.area || CUSTOM_EFFECT_MOTIONS[motion];
+    const symbols = definition.particles || [];
+    const colors = definition.colors || [];
+    const count = definition.count || 15;
+    const pick = list => list[Math.floor(Math.random() * list.length)];
 
-    // Handle "random" effect
-    if (effectName === 'random') {
-        effectName = ALL_EFFECTS[Math.floor(Math.random() * ALL_EFFECTS.length)];
+    for (let i = 0; i < count; i++) {
+        const start = getCustomParticleStart(area, columnId);
+        const color = colors.length > 0 ? pick(colors) : null;
+
+        emitParticle({
+            x: start.x,
+            y: start.y,
+            duration: definition.duration || 1500,
+            easing: { burst: 'easeOut', drift: 'easeInOut' }[motion] || 'linear',
+            frames: getCustomParticleFrames(motion, getCustomParticleTravel(motion)),
+            draw: symbols.length > 0
+                ? { kind: 'text', symbol: pick(symbols), size: (definition.size || 1.5) * 16, color }
+                : { kind: 'circle', size: 10, color: color || '#667eea' }
+        }, i * 50);
     }
+}
 
-    // Execute the effect
-    const effectFunction = EFFECTS_LIBRARY[effectName];
-    if (effectFunction) {
-        effectFunction(columnId);
+// ============================================
+// EFFECT COMPOSITION
+// ============================================
+
+// Category of a library effect
+function getEffectCategory(name, customEffects = {}) {
+    if (EFFECTS_LIBRARY[name] && EFFECTS_LIBRARY[name].category) {
+        return EFFECTS_LIBRARY[name].category;
+    }
+    return customEffects[name] || EFFECTS_LIBRARY[name] ? 'particles' : null;
+}
+
+// Random effect name from the library, optionally limited by categories and exclude list
+function pickRandomEffectName({ categories = EFFECT_CATEGORIES, exclude = [] } = {}) {
+    const pool = Object.keys(EFFECTS_LIBRARY)
+        .filter(name => categories.includes(getEffectCategory(name)) && !exclude.includes(name));
+
+    return pool.length > 0 ? pool[Math.floor(Math.random() * pool.length)] : null;
+}
+
+// Effect from weighted list { name: weight }
+function pickWeightedEffect(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = Math.random() * total;
+    for (const [name, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return entries.length > 0 ? entries[entries.length - 1][0] : null;
+}
+
+// Play effect in any form: name, "random", weighted list, random pool, sequence or combo
+function playEffect(effect, columnId) {
+    if (typeof effect === 'string') {
+        runLibraryEffect(effect === 'random' ? pickRandomEffectName() : effect, columnId);
+        return;
+    }
+
+    if (!effect || typeof effect !== 'object') return;
+
+    if (Array.isArray(effect.combo)) {
+        // All at once
+        effect.combo.forEach(item => playEffect(item, columnId));
+    } else if (Array.isArray(effect.sequence)) {
+        // One after another
+        const interval = effect.interval !== undefined ? effect.interval : EFFECT_SEQUENCE_INTERVAL;
+        effect.sequence.forEach((item, i) => {
+            scheduleEffect(() => playEffect(item, columnId), i * interval);
+        });
+    } else if (effect.categories || effect.exclude) {
+        playEffect(pickRandomEffectName(effect), columnId);
+    } else {
+        playEffect(pickWeightedEffect(effect), columnId);
+    }
+}
+
+// Main function to show effect for a column
+function showEffectForColumn(columnId) {
+    const column = getColumnById(columnId);
+    if (!column) return;
+
+    playColumnSound(columnId);
+    if (column.effect) {
+        playEffect(column.effect, columnId);
     }
 }
 
-// Error handler for images
+// Error handler for images - delegated, so markup needs no inline onerror
 document.addEventListener('error', (e) => {
-    if (e.target.tagName === 'IMG') {
+    const img = e.target;
+    if (img.tagName === 'IMG' && img.src !== PLACEHOLDER_IMAGE) {
         // Silent fallback for image loading errors
+        img.src = PLACEHOLDER_IMAGE;
     }
 }, true);
\ No newline at end of file
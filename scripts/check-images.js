@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// Check photo paths of board configs against the images directory.
+//
+//   node scripts/check-images.js                  - all boards from configs/manifest.json
+//   node scripts/check-images.js configs/masha.json
+//   node scripts/check-images.js --sync analysts:0 [--dir "images/Analysts"] [--write] [config.json]
+//
+// Reports missing photos (exit code 1), unused and duplicate images, stray
+// Zone.Identifier files. --sync rebuilds photos of one project from its directory.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const IMAGES_DIR = 'images';
+const MANIFEST_PATH = 'configs/manifest.json';
+const DEFAULT_CONFIG = 'config.json';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg'];
+
+// Parse command line: config paths and --sync options
+function parseArgs(argv) {
+    const args = { configs: [], sync: null, dir: null, write: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--sync') {
+            args.sync = argv[++i];
+        } else if (arg === '--dir') {
+            args.dir = argv[++i];
+        } else if (arg === '--write') {
+            args.write = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else {
+            args.configs.push(arg);
+        }
+    }
+    return args;
+}
+
+// Path relative to the site root with forward slashes, as used in config.json
+function toSitePath(absolutePath) {
+    return path.relative(ROOT, absolutePath).split(path.sep).join('/');
+}
+
+// Read JSON file relative to the site root
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// Configs of all boards: from the manifest, or config.json for a single board
+function getBoardConfigs() {
+    if (!fs.existsSync(path.join(ROOT, MANIFEST_PATH))) {
+        return [DEFAULT_CONFIG];
+    }
+
+    const manifest = readJson(MANIFEST_PATH);
+    const boards = Array.isArray(manifest.boards) ? manifest.boards : [];
+    return [...new Set(boards.map(board => board.config || `configs/${board.slug}.json`))];
+}
+
+// All photo references of a config: { path, where }
+function collectPhotos(cfg) {
+    const photos = [];
+    const teams = Array.isArray(cfg.teams) ? cfg.teams : [];
+
+    teams.forEach((team, i) => {
+        const projects = Array.isArray(team.projects) ? team.projects : [];
+        projects.forEach((project, j) => {
+            const list = Array.isArray(project.photos) ? project.photos : [];
+            list.forEach((photo, k) => {
+                photos.push({ path: photo, where: `teams[${i}].projects[${j}].photos[${k}]` });
+            });
+        });
+    });
+    return photos;
+}
+
+// External and inline images are not checked
+function isLocalPath(photo) {
+    return typeof photo === 'string' && !/^(https?:|data:|\/\/)/i.test(photo);
+}
+
+// Check that a file exists with exactly this spelling. Windows and macOS ignore
+// letter case and Unicode normalization, the hosting does not
+function findFile(sitePath) {
+    let current = ROOT;
+
+    for (const segment of sitePath.replace(/^\/+/, '').split('/')) {
+        let entries;
+        try {
+            entries = fs.readdirSync(current);
+        } catch (error) {
+            return { exists: false };
+        }
+
+        if (entries.includes(segment)) {
+            current = path.join(current, segment);
+            continue;
+        }
+
+        const similar = entries.find(entry =>
+            entry.normalize('NFC').toLowerCase() === segment.normalize('NFC').toLowerCase());
+        return {
+            exists: false,
+            similar: similar ? toSitePath(path.join(current, similar)) : null
+        };
+    }
+    return { exists: fs.statSync(current).isFile() };
+}
+
+// All files under a directory, recursively
+function listFiles(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(directory, entry.name);
+        return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    });
+}
+
+// Image files by extension
+function isImageFile(filePath) {
+    return IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Files downloaded on Windows get an NTFS stream copied next to them by some tools
+function isZoneIdentifier(filePath) {
+    return filePath.endsWith(':Zone.Identifier');
+}
+
+// SHA-1 of file contents
+function hashFile(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Group files with the same contents
+function findDuplicates(files) {
+    const byHash = new Map();
+
+    files.forEach(file => {
+        const hash = hashFile(file);
+        if (!byHash.has(hash)) {
+            byHash.set(hash, []);
+        }
+        byHash.get(hash).push(file);
+    });
+    return [...byHash.values()].filter(group => group.length > 1);
+}
+
+// Natural order: "photo (2).jpg" after "photo.jpg", numbers compared as numbers
+function compareFileNames(a, b) {
+    const copyPattern = / \((\d+)\)(?=\.[^.]+$)/;
+    const copyNumber = name => {
+        const match = name.match(copyPattern);
+        return match ? Number(match[1]) : 0;
+    };
+    return a.replace(copyPattern, '').localeCompare(b.replace(copyPattern, ''), undefined, { numeric: true }) ||
+        copyNumber(a) - copyNumber(b);
+}
+
+// Escape string for use in a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replace one photos array in config source, keeping the rest of the file as written.
+// Returns null if the old array is not found exactly once
+function replacePhotosInSource(source, oldPhotos, newPhotos) {
+    const items = oldPhotos.map(photo => escapeRegExp(JSON.stringify(photo))).join('\\s*,\\s*');
+    const pattern = new RegExp(`"photos"\\s*:\\s*\\[\\s*${items}\\s*\\]`, 'g');
+    const matches = source.match(pattern);
+    if (!matches || matches.length !== 1) return null;
+
+    const start = source.search(pattern);
+    const lineStart = source.lastIndexOf('\n', start) + 1;
+    const indent = source.slice(lineStart, start).match(/^\s*/)[0];
+    const list = newPhotos.length > 0
+        ? `[\n${newPhotos.map(photo => `${indent}  ${JSON.stringify(photo)}`).join(',\n')}\n${indent}]`
+        : '[]';
+
+    return source.slice(0, start) + `"photos": ${list}` + source.slice(start + matches[0].length);
+}
+
+// Check configs and the images directory, print report. Returns exit code
+function checkImages(configPaths) {
+    const referenced = new Set();
+    let missingCount = 0;
+
+    configPaths.forEach(configPath => {
+        let cfg;
+        try {
+            cfg = readJson(configPath);
+        } catch (error) {
+            console.error(`✖ ${configPath}: не удалось прочитать конфигурацию - ${error.message}`);
+            missingCount++;
+            return;
+        }
+
+        const photos = collectPhotos(cfg).filter(photo => isLocalPath(photo.path));
+        const missing = [];
+
+        photos.forEach(photo => {
+            const found = findFile(photo.path);
+            if (found.exists) {
+                referenced.add(path.join(ROOT, photo.path));
+            } else {
+                missing.push(found.similar
+                    ? `${photo.where}: «${photo.path}» не найден, есть «${found.similar}» (отличается регистр или написание)`
+                    : `${photo.where}: «${photo.path}» не найден`);
+            }
+        });
+
+        console.log(`${configPath}: ${photos.length} фото`);
+        missing.forEach(message => console.log(`  ✖ ${message}`));
+        missingCount += missing.length;
+    });
+
+    const files = listFiles(path.join(ROOT, IMAGES_DIR));
+    const strays = files.filter(isZoneIdentifier);
+    const images = files.filter(file => !isZoneIdentifier(file) && isImageFile(file));
+    const unused = images.filter(file => !referenced.has(file));
+    const duplicates = findDuplicates(images);
+
+    if (unused.length > 0) {
+        console.log(`\nНе используются в конфигурациях (${unused.length}):`);
+        unused.forEach(file => console.log(`  - ${toSitePath(file)}`));
+    }
+    if (duplicates.length > 0) {
+        console.log(`\nОдинаковые файлы (${duplicates.length} групп):`);
+        duplicates.forEach(group => {
+            console.log(`  = ${group.map(toSitePath).join('\n    ')}`);
+        });
+    }
+    if (strays.length > 0) {
+        console.log(`\nЛишние файлы Zone.Identifier (${strays.length}), их можно удалить:`);
+        strays.forEach(file => console.log(`  - ${toSitePath(file)}`));
+    }
+
+    console.log(missingCount > 0
+        ? `\n✖ Не найдено фото: ${missingCount}`
+        : '\n✔ Все фото из конфигураций на месте');
+    return missingCount > 0 ? 1 : 0;
+}
+
+// Rebuild photos of one project from its directory. Returns exit code
+function syncProjectPhotos(configPath, target, directory, write) {
+    let cfg;
+    try {
+        cfg = readJson(configPath);
+    } catch (error) {
+        console.error(`✖ ${configPath}: не удалось прочитать конфигурацию - ${error.message}`);
+        return 1;
+    }
+
+    const [teamId, projectIndex = '0'] = target.split(':');
+    const team = (Array.isArray(cfg.teams) ? cfg.teams : []).find(item => item.id === teamId);
+    const project = team && Array.isArray(team.projects) ? team.projects[Number(projectIndex)] : null;
+
+    if (!project) {
+        console.error(`✖ ${configPath}: нет проекта ${projectIndex} у команды «${teamId}»`);
+        return 1;
+    }
+
+    // Without --dir use the directory all current photos are in
+    if (!directory) {
+        const directories = new Set((project.photos || []).filter(isLocalPath).map(photo => path.posix.dirname(photo)));
+        if (directories.size !== 1) {
+            console.error('✖ Не удалось определить папку проекта, укажите её через --dir');
+            return 1;
+        }
+        directory = [...directories][0];
+    }
+
+    const absoluteDirectory = path.join(ROOT, directory);
+    if (!fs.existsSync(absoluteDirectory)) {
+        console.error(`✖ Папка «${directory}» не найдена`);
+        return 1;
+    }
+
+    // Images of this directory only, copies with the same contents are skipped
+    const seen = new Set();
+    const photos = fs.readdirSync(absoluteDirectory)
+        .filter(name => !isZoneIdentifier(name) && isImageFile(name))
+        .sort(compareFileNames)
+        .filter(name => {
+            const hash = hashFile(path.join(absoluteDirectory, name));
+            if (seen.has(hash)) return false;
+            seen.add(hash);
+            return true;
+        })
+        .map(name => toSitePath(path.join(absoluteDirectory, name)));
+
+    if (!write) {
+        console.log(JSON.stringify(photos, null, 2));
+        return 0;
+    }
+
+    const absoluteConfigPath = path.join(ROOT, configPath);
+    const oldPhotos = Array.isArray(project.photos) ? project.photos : [];
+    let source = replacePhotosInSource(fs.readFileSync(absoluteConfigPath, 'utf8'), oldPhotos, photos);
+
+    // Old list not found in the text - save the whole config in the format of the config editor
+    if (source === null) {
+        project.photos = photos;
+        source = JSON.stringify(cfg, null, 2) + '\n';
+    }
+    fs.writeFileSync(absoluteConfigPath, source);
+    console.log(`✔ ${configPath}: ${team.id}:${projectIndex} - ${photos.length} фото из «${directory}»`);
+    return 0;
+}
+
+// Entry point
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('\n').slice(1, 10).join('\n').replace(/^\/\/ ?/gm, ''));
+        return 0;
+    }
+    if (args.sync) {
+        return syncProjectPhotos(args.configs[0] || DEFAULT_CONFIG, args.sync, args.dir, args.write);
+    }
+    return checkImages(args.configs.length > 0 ? args.configs : getBoardConfigs());
+}
+
+process.exitCode = main();
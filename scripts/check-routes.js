@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Check which view resolveRoute() in script.js picks for board and task URLs.
+//
+//   node scripts/check-routes.js
+//
+// Runs script.js in a sandbox against the files of this repo: once as a plain
+// static server (missing file - 404) and once as Netlify, where the "/*"
+// rewrite answers a missing file with index.html and 200. Exit code 1 if a
+// route resolves differently than expected.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = 'configs/manifest.json';
+
+// URL -> expected view and board slug, with the repo's manifest
+const MANIFEST_ROUTES = [
+    ['/', 'index', null],
+    ['/?task=3', 'board', 'default'],
+    ['/#task-3', 'board', 'default'],
+    ['/dasha', 'board', 'dasha'],
+    ['/dasha/', 'board', 'dasha'],
+    ['/dasha?task=3', 'board', 'dasha'],
+    ['/?board=dasha&task=3', 'board', 'dasha'],
+    ['/no-such-board', 'not-found', 'no-such-board']
+];
+
+// Same URLs when the site has no manifest (single board with config.json)
+const SINGLE_BOARD_ROUTES = [
+    ['/', 'board', null],
+    ['/?task=3', 'board', null],
+    ['/dasha', 'not-found', 'dasha']
+];
+
+// fetch() over the repo files. Netlify mode serves index.html for missing files
+function createFetch(hiddenFiles, netlify) {
+    return async (url) => {
+        const file = decodeURIComponent(new URL(url, 'http://localhost/').pathname.slice(1));
+        const fullPath = path.join(ROOT, file);
+        const exists = !hiddenFiles.includes(file) && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+
+        let status = 200;
+        let type = 'application/json';
+        let body = exists ? fs.readFileSync(fullPath, 'utf8') : '';
+        if (!exists && netlify) {
+            type = 'text/html; charset=UTF-8';
+            body = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+        } else if (!exists) {
+            status = 404;
+            type = 'text/plain';
+        }
+
+        return {
+            ok: status === 200,
+            status,
+            headers: { get: name => (name.toLowerCase() === 'content-type' ? type : null) },
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    };
+}
+
+// Load script.js for a URL and resolve its route
+async function resolveUrl(url, fetchFile) {
+    const location = new URL(url, 'http://localhost/');
+    const noop = () => {};
+    const sandbox = {
+        location,
+        URL,
+        URLSearchParams,
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        console,
+        fetch: fetchFile,
+        navigator: {},
+        // <base href="/"> of index.html
+        document: { currentScript: null, baseURI: new URL('/', location).href, addEventListener: noop },
+        window: { addEventListener: noop }
+    };
+
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'), sandbox, { filename: 'script.js' });
+    return sandbox.resolveRoute();
+}
+
+// Check a list of routes, returns number of failures
+async function checkRoutes(title, routes, fetchFile, defaultSlug) {
+    let failures = 0;
+    console.log(title);
+
+    for (const [url, view, slug] of routes) {
+        const expectedSlug = slug === 'default' ? defaultSlug : slug;
+        let route;
+        try {
+            route = await resolveUrl(url, fetchFile);
+        } catch (error) {
+            route = { view: `error: ${error.message}` };
+        }
+
+        const actualSlug = route.slug === undefined ? null : route.slug;
+        const ok = route.view === view && actualSlug === expectedSlug;
+        if (!ok) failures++;
+
+        const got = ok ? '' : ` (got ${route.view}${actualSlug ? ' ' + actualSlug : ''})`;
+        console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${url} -> ${view}${expectedSlug ? ' ' + expectedSlug : ''}${got}`);
+    }
+    return failures;
+}
+
+async function main() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, MANIFEST_PATH), 'utf8'));
+    const boards = manifest.boards || [];
+    const defaultBoard = boards.find(b => b.slug === manifest.default) || boards[0];
+    const defaultSlug = defaultBoard ? defaultBoard.slug : null;
+
+    let failures = 0;
+    for (const netlify of [false, true]) {
+        const server = netlify ? 'Netlify' : 'static server';
+        failures += await checkRoutes(`With ${MANIFEST_PATH} (${server}):`,
+            MANIFEST_ROUTES, createFetch([], netlify), defaultSlug);
+        failures += await checkRoutes(`Without ${MANIFEST_PATH} (${server}):`,
+            SINGLE_BOARD_ROUTES, createFetch([MANIFEST_PATH], netlify), null);
+    }
+
+    console.log(failures === 0 ? '\nAll routes resolved as expected' : `\nFailed: ${failures}`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,157 @@
+// Service worker: offline board for flaky Wi-Fi.
+// Shell and board configs are precached on install, photos are cached as the page loads them.
+// Page and shell files come from the network first, so after a deploy a fresh
+// index.html does not run with an old script.js. Configs are served from cache and refreshed in the
+// background; when a config changes, open pages get a "config-updated" message and offer to reload.
+
+const CACHE_NAME = 'kanban-v4';
+const NETWORK_TIMEOUT = 3000; // ms before falling back to the cached page or shell file
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'editor.js',
+    'debug.js',
+    'effects.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+const BOARDS_MANIFEST = 'configs/manifest.json';
+const DEFAULT_CONFIG = 'config.json';
+
+// Config URLs of all boards: from the manifest, or config.json for a single board
+async function getConfigUrls() {
+    try {
+        const response = await fetch(BOARDS_MANIFEST, { cache: 'no-cache' });
+        if (!response.ok) return [DEFAULT_CONFIG];
+
+        const manifest = await response.json();
+        const boards = Array.isArray(manifest.boards) ? manifest.boards : [];
+        return [BOARDS_MANIFEST].concat(boards.map(board => board.config || `configs/${board.slug}.json`));
+    } catch (error) {
+        return [DEFAULT_CONFIG];
+    }
+}
+
+// Add files one by one: a missing board config must not break the whole install
+function cacheFiles(cache, urls) {
+    return Promise.all(urls.map(url => cache.add(new Request(url, { cache: 'no-cache' })).catch(() => {})));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cacheFiles(cache, SHELL_FILES);
+
+        await cacheFiles(cache, await getConfigUrls());
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Tell open pages that a newer config was downloaded
+async function notifyConfigUpdated(url) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'config-updated', url }));
+}
+
+// Network response, or the cached copy under cacheKey when offline or slower than NETWORK_TIMEOUT
+async function networkFirst(request, cacheKey) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await Promise.race([
+            fetch(request),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), NETWORK_TIMEOUT))
+        ]);
+        if (response.ok) {
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Pages: network first, cached page when offline.
+// Every route serves index.html, so it is stored under one key
+function handleNavigation(request) {
+    return networkFirst(request, 'index.html');
+}
+
+// Configs: cached copy at once, fresh copy in the background
+async function handleConfig(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    // Read the old copy now: the cached response itself goes to the page
+    const oldText = cached ? cached.clone().text() : Promise.resolve(null);
+
+    const refresh = fetch(event.request).then(async (response) => {
+        if (!response.ok) return response;
+
+        const text = await response.clone().text();
+        const previous = await oldText;
+        await cache.put(event.request, response.clone());
+
+        if (previous !== null && previous !== text) {
+            await notifyConfigUpdated(new URL(event.request.url).pathname);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Photos: cache first, they do not change. Cached on first view, not on install
+async function handleImage(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Shell files: network first like the page, so script.js and style.css match index.html
+function handleStatic(request) {
+    return networkFirst(request, request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only own GET requests
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(handleConfig(event));
+    } else if (url.pathname.includes('/images/')) {
+        event.respondWith(handleImage(request));
+    } else {
+        event.respondWith(handleStatic(request));
+    }
+});